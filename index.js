@@ -1,23 +1,100 @@
 // An extension that allows you to import characters from CHub.
-// TODO: allow multiple characters to be imported at once
 import {
     getRequestHeaders,
     processDroppedFiles,
-    callPopup
+    callPopup,
+    saveSettingsDebounced,
+    characters,
+    getCharacters,
+    selectCharacterById,
+    printCharactersDebounced
 } from "../../../../script.js";
-import { delay, debounce } from "../../../utils.js";
-import { extension_settings } from "../../../extensions.js";
+import { delay, debounce, download } from "../../../utils.js";
+import { extension_settings, writeExtensionField } from "../../../extensions.js";
+import { callGenericPopup, POPUP_TYPE } from "../../../popup.js";
+import { importWorldInfo, world_names } from "../../../world-info.js";
+import { tags, tag_map, createNewTag } from "../../../tags.js";
+import { SlashCommandParser } from "../../../slash-commands/SlashCommandParser.js";
+import { SlashCommand } from "../../../slash-commands/SlashCommand.js";
+import { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument } from "../../../slash-commands/SlashCommandArgument.js";
+import { DOMPurify, showdown } from "../../../../lib.js";
 
 const extensionName = "Work-SillyTavern-Chub-Search";
 const extensionFolderPath = `scripts/extensions/${extensionName}/`;
 
 // Endpoint for API call
+// These are the defaults; both can be changed in the settings (chubSearchEndpoint, chubApiBaseUrl)
 const API_ENDPOINT_SEARCH = "https://inference.chub.ai/search"; // Use the characters endpoint
 // Or use the generic search endpoint if needed: const API_ENDPOINT_SEARCH = "https://api.chub.ai/api/search";
-const API_ENDPOINT_DOWNLOAD = "https://api.chub.ai/api/characters/download";
+const API_BASE_URL = "https://api.chub.ai";
+const API_PATH_DOWNLOAD = "/api/characters/download";
+const API_PATH_CHARACTER = "/api/characters"; // GET /{fullPath}?full=true returns the full definition
+const API_PATH_GALLERY = "/api/gallery/project"; // GET /{projectId} lists a character's gallery images
+const API_PATH_PROJECT = "/api/projects"; // GET /{projectId} returns any project (e.g. a lorebook) by its numeric id
+const SPRITES_UPLOAD_PATH = "/api/sprites/upload"; // SillyTavern's endpoint used by the Expressions extension
+
+// Result layouts: setting value -> toggle button icon and label
+const VIEW_MODES = {
+    list: { icon: 'fa-list', label: 'List' },
+    compact: { icon: 'fa-bars', label: 'Compact list' },
+    grid: { icon: 'fa-table-cells-large', label: 'Grid' },
+};
+
+// API sort keys and their labels, for the popup and the settings panel
+const SORT_OPTIONS = {
+    "download_count": "Downloads",
+    "last_activity_at": "Last Activity",
+    "rating": "Rating",
+    "created_at": "Creation Date",
+    "name": "Name",
+    "n_tokens": "Tokens",
+    "trending_downloads": "Trending",
+    "id": "ID (Newest)", // Assuming higher ID is newer
+    "rating_count": "Rating Count",
+    "random": "Random"
+    // Add other relevant sort options from API docs if needed
+};
+
+// Client-side orders of the loaded results: larger values first (name A-Z); results without the value go last
+const LOCAL_SORTS = {
+    downloads: { label: 'Downloads', value: item => item.stats?.downloads },
+    chats: { label: 'Chats', value: item => item.stats?.chats },
+    stars: { label: 'Stars', value: item => item.stats?.stars },
+    rating: { label: 'Rating', value: item => item.stats?.rating },
+    ratingCount: { label: 'Rating count', value: item => item.stats?.ratingCount },
+    tokens: { label: 'Tokens', value: item => item.stats?.tokens },
+    forks: { label: 'Forks', value: item => item.stats?.forks },
+    created: { label: 'Newest', value: item => item.createdAt },
+    activity: { label: 'Last activity', value: item => item.lastActivityAt },
+    name: { label: 'Name', value: item => item.name, ascending: true },
+};
+
+const COMPACT_NUMBER_FORMAT = new Intl.NumberFormat(undefined, { notation: 'compact', maximumFractionDigits: 1 });
+
+// Labels of the default search filters in the settings panel
+const DEFAULT_FILTER_LABELS = {
+    nsfw: 'NSFW',
+    nsfl: 'NSFL',
+    nsfw_only: 'NSFW only',
+    require_images: 'Need images',
+    require_example_dialogues: 'Need examples',
+    require_alternate_greetings: 'Need greetings',
+    require_custom_prompt: 'Need prompt',
+    require_expressions: 'Need expressions',
+    require_lore: 'Need lore',
+    require_lore_embedded: 'Need embedded lore',
+    require_lore_linked: 'Need linked lore',
+    inclusive_or: 'Match any included tag (OR)',
+    recommended_verified: 'Recommended & verified only',
+};
+
+// Recorded responses for the offline "Local fixtures" provider
+const FIXTURES_FOLDER_PATH = `${extensionFolderPath}fixtures/`;
 
 const defaultSettings = {
     findCount: 30, // Corresponds to 'first'
+    sort: 'download_count', // Default sort of a new search
+    asc: false,
     nsfw: false,
     nsfl: false,
     // Adding new defaults for boolean flags
@@ -32,12 +109,80 @@ const defaultSettings = {
     require_lore_linked: false,
     inclusive_or: false, // Default behavior is usually AND (false) for tags
     recommended_verified: false,
+    presets: {}, // Saved searches: name -> options object as built by readSearchForm
+    blocklist: { authors: [], tags: [], keywords: [] }, // Hidden client-side, on top of the server-side excludeTags
+    infiniteScroll: false, // Append the next page when scrolling to the bottom instead of paging
+    cacheTtlMinutes: 30, // How long search responses are reused; 0 disables the cache
+    hideImported: false, // Hide results that are already in the SillyTavern library
+    importLinkedLorebooks: false, // Also import the lorebooks a character links to
+    provider: 'chub', // Id of the catalog provider to search
+    chubSearchEndpoint: API_ENDPOINT_SEARCH,
+    chubApiBaseUrl: API_BASE_URL,
+    viewMode: 'list', // 'list', 'compact' or 'grid', see VIEW_MODES
+    blurNsfw: false, // Blur the thumbnails of NSFW results until hovered
+    bookmarkCollections: { Favorites: [] }, // Collection name -> bookmarked results, see addBookmark
+    activeCollection: 'Favorites',
+    followedAuthors: {}, // Author username -> { followedAt, lastSeenAt } (timestamps), see showFollowedFeed
+    importOptions: {
+        ask: false, // Show the import options dialog for every single import (Shift+click always does)
+        applyTags: true, // Add the card's Chub topics as SillyTavern tags
+        onlyMappedTags: false, // Only apply topics listed in tagMapping
+        tagMapping: {}, // Lowercase Chub topic -> SillyTavern tag name ('' drops the topic)
+        openChat: false, // Open a chat with the character after a single import
+        installExpressions: false, // Install the card's expression pack as sprites; single imports offer it otherwise
+    },
 };
 
+// Settings that hold the user's own data rather than preferences; "Reset to defaults" keeps them
+const USER_DATA_SETTINGS = ['presets', 'blocklist', 'bookmarkCollections', 'activeCollection', 'followedAuthors'];
+
+// How many characters the batch importer downloads in parallel
+const IMPORT_CONCURRENCY = 3;
+
 let chubCharacters = [];
 let characterListContainer = null;  // A global variable to hold the reference
-let popupState = null;
-let savedPopupContent = null;
+let selectedCharacters = new Map(); // fullPath -> character, kept across pages
+let importQueue = []; // { fullPath, name, type: 'character' | 'lorebook', status: 'queued' | 'importing' | 'done' | 'failed', error }
+let importQueueRunning = false;
+let characterDetailsCache = new Map(); // `${providerId}:${fullPath}` -> normalized details, see fetchCharacterDetails
+let catalogProviders = new Map(); // id -> CatalogProvider, see registerCatalogProvider
+let fixtureData = null; // Loaded fixture files of the local provider
+let focusedResultPath = null; // fullPath of the result with the keyboard focus highlight
+let markdownConverter = null; // Created on first use, see renderMarkdown
+let localSort = ''; // Key of LOCAL_SORTS the loaded results are re-sorted by, '' for the order the catalog returned
+let lightbox = null; // The open image viewer: { element, images, index, scale, x, y, controller, returnFocus }, see openLightbox
+let followedFeedSince = null; // Set while the results are the "New from followed authors" feed: the oldest date it covers
+let tagListPromise = null; // Resolves with [{name, count}] of the active provider, see loadTagList
+// Search client: retries of transient failures (doubling delay) and the IndexedDB response cache
+const SEARCH_RETRY_ATTEMPTS = 3;
+const SEARCH_RETRY_BASE_DELAY = 500; // ms
+const CACHE_DB_NAME = 'chub-search-cache';
+const CACHE_STORE_NAME = 'responses';
+const SEARCH_MEMORY_CACHE_LIMIT = 100; // Responses kept in memory; IndexedDB holds the rest
+
+// How many searches the back/forward history keeps
+const SEARCH_HISTORY_LIMIT = 20;
+const TAG_LIST_CACHE_KEY = 'tag-list'; // Stored in the search cache store, but with its own lifetime
+const TAG_LIST_TTL = 24 * 60 * 60 * 1000; // The tag list changes slowly, refresh it daily
+const TAG_SUGGESTION_LIMIT = 10;
+const FOLLOWED_FEED_PAGE_SIZE = 50; // Per author; more than anyone publishes between two looks
+const EXPORT_RESULT_CAP = 1000; // Most results "all pages" exports fetch
+const EXPORT_COLUMNS = ['name', 'author', 'fullPath', 'url', 'avatar', 'type', 'tags', 'tagline', 'createdAt', 'downloads', 'stars', 'chats', 'messages', 'favorites', 'rating', 'ratingCount', 'tokens', 'forks'];
+const CSV_FORMULA_PATTERN = /^'*[=+\-@\t\r]/; // Cell starts spreadsheets run as formulas (quote-prefixed ones too, so the prefix round-trips)
+const SAFE_URL_PROTOCOLS = ['http:', 'https:', 'blob:'];
+const LIGHTBOX_MAX_ZOOM = 8;
+const LIGHTBOX_ZOOM_STEP = 1.25;
+
+let popupState = null; // { options, scrollTop } of the last popup, restored when it is reopened
+let searchHistory = []; // { options, characters, scrollTop } of previous searches in this session
+let searchHistoryIndex = -1;
+let lastSearchTotal = null; // Total result count of the last search, if the API reported one
+let chubCharactersOptions = null; // The search options `chubCharacters` were fetched with; null for the followed feed
+let searchMemoryCache = new Map(); // normalized query -> { timestamp, data }
+let searchAbortControllers = new Map(); // channel -> AbortController of the request in flight
+let searchGeneration = 0; // Incremented by every new search; results of an older one are dropped, see executeCharacterSearch
+let cacheDbPromise = null;
+let infiniteScrollState = null; // { options, nextPage, loading, exhausted, prefetch: { page, promise } } of the current search
 
 
 /**
@@ -58,7 +203,8 @@ async function loadSettings() {
     for (const [key, value] of Object.entries(defaultSettings)) {
         if (!extension_settings.chub.hasOwnProperty(key)) {
             console.log(`Setting default for: ${key}`);
-            extension_settings.chub[key] = value;
+            // Clone objects so editing the settings never mutates the defaults
+            extension_settings.chub[key] = typeof value === 'object' && value !== null ? structuredClone(value) : value;
         }
     }
     // Ensure findCount is a number after loading
@@ -66,16 +212,183 @@ async function loadSettings() {
 }
 
 /**
- * Downloads a custom character based on the provided URL.
- * @param {string} input - A string containing the URL of the character to be downloaded.
- * @returns {Promise<void>} - Resolves once the character has been processed or if an error occurs.
+ * Creates the HTML of the settings panel in SillyTavern's extensions menu.
+ * Every control carries the settings key it edits in `data-chub-setting`; see `initSettingsPanel`.
+ * @returns {string} - The HTML string for the panel.
  */
-async function downloadCharacter(input) {
-    const url = input.trim();
-    console.debug('Custom content import started', url);
+function createSettingsPanelHtml() {
+    const checkbox = (key, label, title = '') => `
+        <label class="checkbox_label" for="chubSettings_${key}" title="${title}">
+            <input type="checkbox" id="chubSettings_${key}" data-chub-setting="${key}">
+            <span>${label}</span>
+        </label>`;
+
+    return `
+    <div class="chub-settings">
+        <div class="inline-drawer">
+            <div class="inline-drawer-toggle inline-drawer-header">
+                <b>Chub Search</b>
+                <div class="inline-drawer-icon fa-solid fa-circle-chevron-down down"></div>
+            </div>
+            <div class="inline-drawer-content">
+                <h4>Default filters</h4>
+                <small>Used for every new search; the popup only changes the current one.</small>
+                <div class="chub-settings-grid">
+                    ${Object.entries(DEFAULT_FILTER_LABELS).map(([key, label]) => checkbox(key, label)).join('')}
+                </div>
+
+                <h4>Sorting</h4>
+                <div class="chub-settings-grid">
+                    <label for="chubSettings_sort">Sort by
+                        <select id="chubSettings_sort" class="text_pole" data-chub-setting="sort">
+                            ${Object.entries(SORT_OPTIONS).map(([key, label]) => `<option value="${key}">${label}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label for="chubSettings_findCount">Results per page
+                        <input type="number" id="chubSettings_findCount" class="text_pole" min="1" max="100" data-chub-setting="findCount">
+                    </label>
+                    ${checkbox('asc', 'Ascending')}
+                    ${checkbox('infiniteScroll', 'Infinite scroll', 'Load the next page automatically when scrolling to the bottom of the results')}
+                </div>
+
+                <h4>Display</h4>
+                <div class="chub-settings-grid">
+                    <label for="chubSettings_viewMode">View
+                        <select id="chubSettings_viewMode" class="text_pole" data-chub-setting="viewMode">
+                            ${Object.entries(VIEW_MODES).map(([mode, { label }]) => `<option value="${mode}">${label}</option>`).join('')}
+                        </select>
+                    </label>
+                    ${checkbox('blurNsfw', 'Blur NSFW thumbnails', 'Blur the images of NSFW results until you hover them')}
+                    ${checkbox('hideImported', 'Hide imported', 'Hide results that are already in your library')}
+                </div>
+
+                <h4>Catalog</h4>
+                <div class="chub-settings-grid">
+                    <label for="chubSettings_provider">Catalog
+                        <select id="chubSettings_provider" class="text_pole" data-chub-setting="provider">
+                            ${[...catalogProviders.values()].map(provider => `<option value="${provider.id}">${provider.name}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label for="chubSettings_chubSearchEndpoint">Search endpoint
+                        <input type="text" id="chubSettings_chubSearchEndpoint" class="text_pole" placeholder="${API_ENDPOINT_SEARCH}" data-chub-setting="chubSearchEndpoint">
+                    </label>
+                    <label for="chubSettings_chubApiBaseUrl">API base URL
+                        <input type="text" id="chubSettings_chubApiBaseUrl" class="text_pole" placeholder="${API_BASE_URL}" data-chub-setting="chubApiBaseUrl">
+                    </label>
+                </div>
+
+                <h4>Cache</h4>
+                <div class="chub-settings-grid">
+                    <label for="chubSettings_cacheTtlMinutes" title="How long search results are reused before asking CHub again (0 disables the cache)">Keep results (minutes)
+                        <input type="number" id="chubSettings_cacheTtlMinutes" class="text_pole" min="0" data-chub-setting="cacheTtlMinutes">
+                    </label>
+                    <div class="menu_button" id="chubSettingsClearCacheButton" title="Clear cached search results, details and the tag list"><i class="fas fa-trash-can"></i> Clear cache</div>
+                </div>
+
+                <hr>
+                <div class="menu_button" id="chubSettingsResetButton" title="Saved searches, bookmarks, followed authors, the blocklist and the tag mapping are kept"><i class="fas fa-rotate-left"></i> Reset to defaults</div>
+            </div>
+        </div>
+    </div>`;
+}
+
+/**
+ * Copies the current settings into the controls of the settings panel.
+ */
+function syncSettingsPanel() {
+    document.querySelectorAll('.chub-settings [data-chub-setting]').forEach(control => {
+        const value = extension_settings.chub[control.dataset.chubSetting];
+        if (control.type === 'checkbox') {
+            control.checked = Boolean(value);
+        } else {
+            control.value = value ?? '';
+        }
+    });
+}
+
+/**
+ * Reads a settings panel control, falling back to the default for empty or invalid input.
+ * @param {HTMLInputElement|HTMLSelectElement} control - A control with `data-chub-setting`.
+ * @returns {*} - The value to store.
+ */
+function readSettingsControl(control) {
+    const fallback = defaultSettings[control.dataset.chubSetting];
+    if (control.type === 'checkbox') {
+        return control.checked;
+    }
+    if (control.type === 'number') {
+        const number = parseInt(control.value, 10);
+        return isNaN(number) ? fallback : clamp(number, Number(control.min) || 0, Number(control.max) || Number.MAX_SAFE_INTEGER);
+    }
+    return control.value.trim() || fallback;
+}
+
+/**
+ * Restores every preference to `defaultSettings`. The user's own data (see `USER_DATA_SETTINGS`) and the tag mapping are kept.
+ */
+function resetSettingsToDefaults() {
+    const tagMapping = extension_settings.chub.importOptions?.tagMapping || {};
+    for (const [key, value] of Object.entries(defaultSettings)) {
+        if (!USER_DATA_SETTINGS.includes(key)) {
+            extension_settings.chub[key] = typeof value === 'object' && value !== null ? structuredClone(value) : value;
+        }
+    }
+    extension_settings.chub.importOptions.tagMapping = tagMapping;
+    tagListPromise = null;
+    saveSettingsDebounced();
+    syncSettingsPanel();
+}
+
+/**
+ * Adds the settings panel to SillyTavern's extensions menu and wires it up. Every change is saved right away.
+ */
+function initSettingsPanel() {
+    const container = document.getElementById('extensions_settings2') || document.getElementById('extensions_settings');
+    if (!container) {
+        return;
+    }
+    container.insertAdjacentHTML('beforeend', createSettingsPanelHtml());
+    const panel = container.querySelector('.chub-settings');
+    syncSettingsPanel();
+
+    panel.addEventListener('change', function (event) {
+        const key = event.target.dataset?.chubSetting;
+        if (!key) {
+            return;
+        }
+        extension_settings.chub[key] = readSettingsControl(event.target);
+        if (key === 'provider') {
+            tagListPromise = null; // Suggest the new catalog's tags
+        }
+        saveSettingsDebounced();
+        syncSettingsPanel();
+    });
+
+    document.getElementById('chubSettingsClearCacheButton')?.addEventListener('click', async function () {
+        await clearSearchCache();
+        characterDetailsCache.clear();
+        tagListPromise = null;
+        toastr.success("Cache cleared.");
+    });
+
+    document.getElementById('chubSettingsResetButton')?.addEventListener('click', async function () {
+        const confirmed = await callGenericPopup('<h3>Reset Chub Search settings?</h3><p>Your saved searches, bookmarks, followed authors, blocklist and tag mapping are kept.</p>', POPUP_TYPE.CONFIRM);
+        if (confirmed) {
+            resetSettingsToDefaults();
+            toastr.success("Settings reset to defaults.");
+        }
+    });
+}
+
+/**
+ * Fetches a custom content file through SillyTavern's importer.
+ * @param {string} url - The Chub path or URL of the content to import.
+ * @returns {Promise<{file: File, contentType: string}>} - The downloaded file and its `X-Custom-Content-Type`.
+ */
+async function fetchCustomContent(url) {
     let request = null;
-    // try /api/content/import first and then /import_custom
-    request = await fetch('/api/content/importUUID', {
+    // try /api/content/import first and then /import_custom. Full URLs (e.g. lorebooks) go through importURL.
+    request = await fetch(/^https?:\/\//.test(url) ? '/api/content/importURL' : '/api/content/importUUID', {
         method: 'POST',
         headers: getRequestHeaders(),
         body: JSON.stringify({ url }),
@@ -89,313 +402,4225 @@ async function downloadCharacter(input) {
     }
 
     if (!request.ok) {
-        toastr.info("Click to go to the character page", 'Custom content import failed', {onclick: () => window.open(`https://www.chub.ai/characters/${url}`, '_blank') });
-        console.error('Custom content import failed', request.status, request.statusText);
-        return;
+        throw new Error(`${request.status} ${request.statusText}`);
     }
 
     const data = await request.blob();
     const customContentType = request.headers.get('X-Custom-Content-Type');
     const fileName = request.headers.get('Content-Disposition').split('filename=')[1].replace(/"/g, '');
-    const file = new File([data], fileName, { type: data.type });
+    return { file: new File([data], fileName, { type: data.type }), contentType: customContentType };
+}
 
-    switch (customContentType) {
+/**
+ * Hands a downloaded content file to the matching SillyTavern importer.
+ * @param {File} file - The downloaded file.
+ * @param {string} contentType - The content type reported by the server.
+ * @returns {Promise<void>} - Resolves once the content has been processed.
+ */
+async function processCustomContent(file, contentType) {
+    switch (contentType) {
         case 'character':
-            processDroppedFiles([file]);
+            await processDroppedFiles([file]);
             break;
-        default:
-            toastr.warning('Unknown content type');
-            console.error('Unknown content type', customContentType);
+        case 'lorebook':
+            await importWorldInfo(file);
             break;
+        default:
+            throw new Error(`Unknown content type: ${contentType}`);
     }
 }
 
 /**
- * Updates the character list in the view based on provided characters.
- * @param {Array} characters - A list of character data objects to be rendered in the view.
+ * Downloads content from the active catalog provider and hands it to the matching handler.
+ * Unlike `downloadCharacter`, failures are thrown so callers (e.g. the import queue) can report them.
+ * @param {string} fullPath - The path of the content (author/name).
+ * @param {'character'|'lorebook'} [type='character'] - The kind of content.
+ * @param {Object} [options] - Download options, see `CatalogProvider.download`.
+ * @returns {Promise<void>} - Resolves once the content has been processed.
  */
-function updateCharacterListInView(characters) {
-    if (characterListContainer) {
-        characterListContainer.innerHTML = characters.map(generateCharacterListItem).join('');
-    }
+async function importContent(fullPath, type = 'character', options = {}) {
+    const { file, contentType } = await getActiveProvider().download(fullPath, type, options);
+    await processCustomContent(file, contentType);
 }
 
-// Removed makeTagPermutations as the API likely handles variations.
-
 /**
- * Builds the query string for the API call based on the provided options.
- * @param {object} options - The search options object.
- * @returns {string} - The generated query string part of the URL.
+ * A catalog the extension can search and import from.
+ * @typedef {Object} CatalogProvider
+ * @property {string} id - Unique id, stored in `extension_settings.chub.provider`.
+ * @property {string} name - Name shown in the UI.
+ * @property {string[]|null} supportedFilters - Search option keys the provider understands, or null for all of them.
+ *     Search controls for other options are disabled while the provider is active.
+ * @property {(options: Object, channel: string) => Promise<{characters: Array, total: number|null}>} search - Requests one page of results.
+ * @property {(fullPath: string, listed: Object) => Promise<Object>} getDetails - Loads the details shown in the detail view.
+ * @property {(fullPath: string, type: string, options?: {version?: string}) => Promise<{file: File, contentType: string}>} download - Downloads a file for the SillyTavern importer,
+ *     optionally a specific version (branch or commit) of a character.
+ * @property {(fullPath: string) => string} getAvatarUrl - The full-size avatar image of a character.
+ * @property {(fullPath: string, details: Object) => Promise<Array<{url: string, description: string}>>} getGallery - The gallery images of a character.
+ * @property {(id: number) => Promise<string|null>} getLorebookPath - The path of a lorebook known only by its numeric id
+ *     (characters may link lorebooks that way), or null if there is none.
+ * @property {() => Promise<Array<{name: string, count: number|null}>>} getTags - All known tags with their usage counts, for autocomplete.
+ * @property {(fullPath: string, type: string) => string} getPageUrl - The web page of a result.
+ * @property {(author: string) => string} getAuthorUrl - The web page of an author.
  */
-function buildQueryString(options) {
-    const params = new URLSearchParams();
-
-    // Map simplified option names to API parameter names
-    const paramMap = {
-        searchTerm: 'search', // Full-text search
-        name_like: 'name_like',
-        first: 'first',
-        min_users_chatted: 'min_users_chatted',
-        includeTags: 'tags',
-        excludeTags: 'exclude_tags',
-        page: 'page',
-        sort: 'sort',
-        asc: 'asc',
-        include_forks: 'include_forks',
-        nsfw: 'nsfw',
-        nsfl: 'nsfl',
-        nsfw_only: 'nsfw_only',
-        require_images: 'require_images',
-        require_example_dialogues: 'require_example_dialogues',
-        require_alternate_greetings: 'require_alternate_greetings',
-        require_custom_prompt: 'require_custom_prompt',
-        max_days_ago: 'max_days_ago',
-        exclude_mine: 'exclude_mine', // Might require auth context
-        only_mine: 'only_mine', // Might require auth context
-        min_tokens: 'min_tokens',
-        max_tokens: 'max_tokens',
-        require_expressions: 'require_expressions',
-        require_lore: 'require_lore',
-        mine_first: 'mine_first', // Might require auth context
-        require_lore_embedded: 'require_lore_embedded',
-        require_lore_linked: 'require_lore_linked',
-        my_favorites: 'my_favorites', // Might require auth context
-        topics: 'topics', // Alternative tag system?
-        excludetopics: 'excludetopics', // Alternative tag system?
-        creator_id: 'creator_id',
-        username: 'username',
-        inclusive_or: 'inclusive_or',
-        recommended_verified: 'recommended_verified',
-        min_tags: 'min_tags',
-        min_ai_rating: 'min_ai_rating',
-        language: 'language',
-        // Skip 'count', 'previous', 'special_mode', 'namespace' for now unless specifically needed
-    };
-
-    for (const [optionKey, value] of Object.entries(options)) {
-        const apiKey = paramMap[optionKey];
-        if (apiKey && (value !== null && value !== undefined && value !== '')) {
-            // Special handling for tags/topics to join array and limit length
-            if ((apiKey === 'tags' || apiKey === 'exclude_tags' || apiKey === 'topics' || apiKey === 'excludetopics') && Array.isArray(value)) {
-                 if (value.length > 0) {
-                     // Join non-empty tags and limit length (adjust limit as needed)
-                     const tagsString = value.filter(tag => tag.length > 0).join(',').slice(0, 500);
-                     if (tagsString) {
-                         params.append(apiKey, tagsString);
-                     }
-                 }
-            }
-            // Handle number inputs that might be empty strings
-            else if (['min_tokens', 'max_tokens', 'min_tags', 'min_users_chatted', 'max_days_ago', 'creator_id', 'min_ai_rating'].includes(apiKey)) {
-                const numValue = parseInt(value, 10);
-                if (!isNaN(numValue)) {
-                     params.append(apiKey, numValue);
-                }
-            }
-             // Handle boolean explicitly to ensure 'false' is sent
-             else if (typeof value === 'boolean') {
-                 params.append(apiKey, value);
-             }
-            // Default handling for other types (strings, numbers derived elsewhere like page/first)
-            else {
-                params.append(apiKey, value);
-            }
-        }
-    }
-
-    // Add venus=true if using the character endpoint? Check API docs. Assume yes for now.
-    // params.append('venus', 'true'); // Might not be needed for /api/characters/search
 
-    return params.toString();
+/**
+ * Makes a catalog provider available in the provider select. Registering an id again replaces the provider.
+ * @param {CatalogProvider} provider - The provider.
+ */
+function registerCatalogProvider(provider) {
+    catalogProviders.set(provider.id, provider);
 }
 
-
 /**
- * Fetches characters based on specified search criteria.
- * @param {Object} options - The search options object (using internal names like searchTerm, includeTags, etc.).
- * @returns {Promise<Array>} - Resolves with an array of character objects that match the search criteria.
+ * Returns the provider selected in the settings, falling back to Chub if it isn't registered.
+ * @returns {CatalogProvider} - The active provider.
  */
-async function fetchCharactersBySearch(options) {
+function getActiveProvider() {
+    return catalogProviders.get(extension_settings.chub?.provider) || catalogProviders.get('chub');
+}
 
-    // Set defaults from settings if not provided in options
-    options.first = options.first || extension_settings.chub.findCount || 30;
-    options.nsfw = typeof options.nsfw === 'boolean' ? options.nsfw : extension_settings.chub.nsfw;
-    options.nsfl = typeof options.nsfl === 'boolean' ? options.nsfl : extension_settings.chub.nsfl;
-    // Add other boolean defaults from settings
-    options.nsfw_only = typeof options.nsfw_only === 'boolean' ? options.nsfw_only : extension_settings.chub.nsfw_only;
-    options.require_images = typeof options.require_images === 'boolean' ? options.require_images : extension_settings.chub.require_images;
-    options.require_example_dialogues = typeof options.require_example_dialogues === 'boolean' ? options.require_example_dialogues : extension_settings.chub.require_example_dialogues;
-    options.require_alternate_greetings = typeof options.require_alternate_greetings === 'boolean' ? options.require_alternate_greetings : extension_settings.chub.require_alternate_greetings;
-    options.require_custom_prompt = typeof options.require_custom_prompt === 'boolean' ? options.require_custom_prompt : extension_settings.chub.require_custom_prompt;
-    options.require_expressions = typeof options.require_expressions === 'boolean' ? options.require_expressions : extension_settings.chub.require_expressions;
-    options.require_lore = typeof options.require_lore === 'boolean' ? options.require_lore : extension_settings.chub.require_lore;
-    options.require_lore_embedded = typeof options.require_lore_embedded === 'boolean' ? options.require_lore_embedded : extension_settings.chub.require_lore_embedded;
-    options.require_lore_linked = typeof options.require_lore_linked === 'boolean' ? options.require_lore_linked : extension_settings.chub.require_lore_linked;
-    options.inclusive_or = typeof options.inclusive_or === 'boolean' ? options.inclusive_or : extension_settings.chub.inclusive_or;
-    options.recommended_verified = typeof options.recommended_verified === 'boolean' ? options.recommended_verified : extension_settings.chub.recommended_verified;
+/**
+ * Checks whether the active provider understands a search option.
+ * @param {string} key - The search option key (see `QUERY_PARAM_MAP`).
+ * @returns {boolean} - True if the option is supported.
+ */
+function isFilterSupported(key) {
+    const supported = getActiveProvider().supportedFilters;
+    return !supported || supported.includes(key);
+}
 
-    // Sensible defaults for non-setting options if not provided
-    options.sort = options.sort || 'download_count';
-    options.page = options.page || 1;
-    options.asc = typeof options.asc === 'boolean' ? options.asc : false; // Default sort descending
-    options.include_forks = typeof options.include_forks === 'boolean' ? options.include_forks : true; // Default include forks
+/**
+ * Builds a Chub API URL from the configured base URL.
+ * @param {string} path - The API path, starting with a slash.
+ * @returns {string} - The full URL.
+ */
+function getChubApiUrl(path) {
+    const baseUrl = (extension_settings.chub?.chubApiBaseUrl || API_BASE_URL).replace(/\/+$/, '');
+    return `${baseUrl}${path}`;
+}
 
+/**
+ * Fetches the Chub tag list. Implements `CatalogProvider.getTags` for the Chub provider.
+ * @returns {Promise<Array<{name: string, count: number|null}>>} - The tags, most used first.
+ */
+async function fetchChubTags() {
+    const response = await fetch(getChubApiUrl('/tags'));
+    if (!response.ok) {
+        throw new Error(`Could not load the tag list: ${response.status} ${response.statusText}`);
+    }
+    const data = await response.json();
+    // Either a plain list or { tags: [...] }; entries are names or objects with a usage count
+    const rawTags = Array.isArray(data) ? data : (data.tags || data.data || []);
+    return rawTags
+        .map(tag => typeof tag === 'string'
+            ? { name: tag, count: null }
+            : { name: tag.name || tag.title, count: tag.non_private_projects_count ?? tag.count ?? null })
+        .filter(tag => tag.name)
+        .sort((a, b) => (b.count ?? 0) - (a.count ?? 0));
+}
 
-    // Construct the URL with the search parameters
-    const queryString = buildQueryString(options);
-    const url = `${API_ENDPOINT_SEARCH}?${queryString}`;
-    console.log("Fetching CHub:", url); // Log the final URL for debugging
+/**
+ * Downloads a specific version of a Chub character as a Tavern PNG, bypassing SillyTavern's importer.
+ * @param {string} fullPath - The character's path.
+ * @param {string} version - A branch or commit of the character.
+ * @returns {Promise<{file: File, contentType: string}>} - The card and its content type.
+ */
+async function downloadChubVersion(fullPath, version) {
+    const response = await fetch(getChubApiUrl(API_PATH_DOWNLOAD), {
+        method: "POST",
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ fullPath: fullPath, format: "tavern", version: version }),
+    });
+    if (!response.ok) {
+        throw new Error(`Version "${version}" of ${fullPath} could not be downloaded: ${response.status} ${response.statusText}`);
+    }
+    const data = await response.blob();
+    return { file: new File([data], `${fullPath.split('/').pop()}.png`, { type: data.type || 'image/png' }), contentType: 'character' };
+}
 
-    try {
-        const searchResponse = await fetch(url);
+registerCatalogProvider({
+    id: 'chub',
+    name: 'Chub.ai',
+    supportedFilters: null,
+    search: (options, channel) => searchChub(options, channel),
+    getDetails: (fullPath, listed) => fetchChubDetails(fullPath, listed),
+    // SillyTavern's importer only knows characters by path and always takes the main version; lorebooks need their page URL
+    download: (fullPath, type, options = {}) => type !== 'lorebook' && options.version && options.version !== 'main'
+        ? downloadChubVersion(fullPath, options.version)
+        : fetchCustomContent(type === 'lorebook' ? getLorebookUrl(fullPath) : fullPath),
+    getAvatarUrl: (fullPath) => `https://avatars.charhub.io/avatars/${fullPath}/avatar.webp`,
+    getGallery: (fullPath, details) => fetchChubGallery(details),
+    getLorebookPath: (id) => fetchChubProjectPath(id),
+    getTags: () => fetchChubTags(),
+    getPageUrl: (fullPath, type) => type === 'lorebook' ? getLorebookUrl(fullPath) : `https://chub.ai/characters/${fullPath}`,
+    getAuthorUrl: (author) => `https://chub.ai/users/${author}`,
+});
 
-        if (!searchResponse.ok) {
-            console.error('CHub API request failed:', searchResponse.status, searchResponse.statusText);
-            try {
-                const errorData = await searchResponse.json();
-                console.error('API Error Details:', errorData);
-                toastr.error(`CHub search failed: ${errorData.message || searchResponse.statusText}`, "API Error");
-            } catch (e) {
-                toastr.error(`CHub search failed: ${searchResponse.statusText}`, "API Error");
+/**
+ * Loads (once) the recorded responses used by the local fixture provider.
+ * @returns {Promise<Object>} - The fixture files by name.
+ */
+async function loadFixtures() {
+    if (!fixtureData) {
+        const files = ['search-characters', 'search-lorebooks', 'characters', 'lorebooks'];
+        const loaded = await Promise.all(files.map(async (file) => {
+            const response = await fetch(`${FIXTURES_FOLDER_PATH}${file}.json`);
+            if (!response.ok) {
+                throw new Error(`Could not load fixture ${file}.json: ${response.status} ${response.statusText}`);
             }
-            return []; // Return empty array on failure
-        }
-
-        const searchData = await searchResponse.json();
-
-        // Clear previous search results
-        chubCharacters = [];
+            return response.json();
+        }));
+        fixtureData = Object.fromEntries(files.map((file, i) => [file, loaded[i]]));
+    }
+    return fixtureData;
+}
 
-        // The API structure might be { data: { nodes: [...] } } or just { nodes: [...] }
-        // Adapt based on actual API response. Assuming /api/characters/search returns { nodes: [...] }
-        const nodes = searchData.nodes || (searchData.data ? searchData.data.nodes : null);
+/**
+ * Searches the recorded fixtures: filters, sorts and paginates them the way the Chub API would.
+ * Implements `CatalogProvider.search` for the local provider.
+ * @param {Object} options - The complete search options, including `page`.
+ * @returns {Promise<{characters: Array, total: number|null}>} - The mapped characters and the total result count.
+ */
+async function searchFixtures(options) {
+    const fixtures = await loadFixtures();
+    const recorded = options.namespace === 'lorebooks' ? fixtures['search-lorebooks'] : fixtures['search-characters'];
+    const lower = (value) => String(value ?? '').toLowerCase();
+    const term = lower(options.searchTerm);
+    const nameLike = lower(options.name_like);
+    const includeTags = (options.includeTags || []).map(lower);
+    const excludeTags = (options.excludeTags || []).map(lower);
+    const username = lower(options.username);
+    const maxAge = Number(options.max_days_ago) * 24 * 60 * 60 * 1000;
 
-        if (!nodes || nodes.length === 0) {
-            return chubCharacters; // Return empty if no nodes found
+    let nodes = (recorded.data?.nodes || recorded.nodes || []).filter(node => {
+        const topics = (node.topics || []).map(lower);
+        if (username && lower(node.fullPath).split('/')[0] !== username) {
+            return false;
         }
+        if (maxAge > 0 && Date.now() - Date.parse(node.createdAt) > maxAge) {
+            return false;
+        }
+        if (term && ![node.name, node.tagline, ...topics].some(text => lower(text).includes(term))) {
+            return false;
+        }
+        if (nameLike && !lower(node.name).includes(nameLike)) {
+            return false;
+        }
+        if (excludeTags.some(tag => topics.includes(tag))) {
+            return false;
+        }
+        if (includeTags.length > 0) {
+            const matches = includeTags.filter(tag => topics.includes(tag)).length;
+            return options.inclusive_or ? matches > 0 : matches === includeTags.length;
+        }
+        return true;
+    });
 
-        // Fetching individual character *avatars* seems inefficient here.
-        // The search result 'nodes' should contain basic info including avatar URL.
-        // Let's adapt to use the info directly from the search result.
-        // Check the actual API response structure for avatar URLs. Common names: 'avatar_url', 'avatar', 'image_url'
-
-        chubCharacters = nodes.map(node => {
-            // Determine the avatar URL - *adjust based on actual API response field names*
-            // Common possibilities: node.avatar_url, node.avatar, node.definition.avatar etc.
-            // Using a placeholder - **YOU MUST CHECK THE ACTUAL API RESPONSE**
-            let imageUrl = node.avatar_url || node.avatar || `${extensionFolderPath}placeholder.png`; // Provide a fallback placeholder
-             // Ensure the URL is absolute if it's relative
-             if (imageUrl && !imageUrl.startsWith('http') && !imageUrl.startsWith('blob:')) {
-                 // Assuming it might be relative to chub.ai if not absolute
-                 // imageUrl = `https://chub.ai${imageUrl}`; // Uncomment or adjust if needed
-             }
-
-
-            return {
-                // Use the image URL directly from search results if available
-                url: imageUrl,
-                description: node.tagline || "No description.",
-                name: node.name || "Unnamed Character",
-                fullPath: node.fullPath, // Essential for download links
-                tags: node.topics || [], // Assuming 'topics' holds the tags
-                author: node.fullPath ? node.fullPath.split('/')[0] : "Unknown Author", // Extract author from fullPath
-            };
+    // Map the API sort keys to the fields of a recorded node
+    const sortFields = {
+        download_count: 'nChats',
+        last_activity_at: 'lastActivityAt',
+        rating: 'rating',
+        created_at: 'createdAt',
+        name: 'name',
+        n_tokens: 'nTokens',
+        trending_downloads: 'nChats',
+        id: 'id',
+        rating_count: 'ratingCount',
+    };
+    const field = sortFields[options.sort];
+    if (field) {
+        const direction = options.asc ? 1 : -1;
+        nodes = [...nodes].sort((a, b) => {
+            const left = a[field] ?? '';
+            const right = b[field] ?? '';
+            return (typeof left === 'string' ? left.localeCompare(right) : left - right) * direction;
         });
+    } else if (options.sort === 'random') {
+        nodes = [...nodes].sort(() => Math.random() - 0.5);
+    }
 
-        return chubCharacters;
+    const first = Number(options.first) || 30;
+    const start = ((Number(options.page) || 1) - 1) * first;
+    return mapSearchResponse({ nodes: nodes.slice(start, start + first), count: nodes.length }, options);
+}
 
-    } catch (error) {
-        console.error("Error during CHub search fetch:", error);
-        toastr.error("An error occurred while searching CHub.", "Fetch Error");
-        return []; // Return empty array on exception
+/**
+ * Counts the tags used in the recorded search results. Implements `CatalogProvider.getTags` for the local provider.
+ * @returns {Promise<Array<{name: string, count: number}>>} - The tags, most used first.
+ */
+async function countFixtureTags() {
+    const fixtures = await loadFixtures();
+    const counts = new Map();
+    for (const recorded of [fixtures['search-characters'], fixtures['search-lorebooks']]) {
+        for (const node of recorded.data?.nodes || recorded.nodes || []) {
+            (node.topics || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+        }
     }
+    return [...counts].map(([name, count]) => ({ name, count })).sort((a, b) => b.count - a.count);
 }
 
+/**
+ * Looks up a recorded lorebook by its numeric id. Implements `CatalogProvider.getLorebookPath` for the local provider.
+ * @param {number} id - The lorebook's id.
+ * @returns {Promise<string|null>} - The lorebook's path, or null if it isn't recorded.
+ */
+async function findFixtureLorebookPath(id) {
+    const fixtures = await loadFixtures();
+    const recorded = fixtures['search-lorebooks'];
+    const node = (recorded.data?.nodes || recorded.nodes || []).find(node => node.id === id);
+    return node?.fullPath ?? null;
+}
 
 /**
- * Searches for characters based on the provided options and manages the UI during the search.
- * @param {Object} options - The search criteria/options for fetching characters.
- * @returns {Promise<Array>} - Resolves with an array of character objects that match the search criteria.
+ * Builds an importable file from the fixtures. Characters become a V2 card JSON carrying their Chub path,
+ * lorebooks are stored as World Info JSON. Implements `CatalogProvider.download` for the local provider.
+ * @param {string} fullPath - The path of the content.
+ * @param {'character'|'lorebook'} type - The kind of content.
+ * @returns {Promise<{file: File, contentType: string}>} - The file and its content type.
  */
-async function searchCharacters(options) {
-    if (characterListContainer && !document.body.contains(characterListContainer)) {
-        console.log('Character list container is not in the DOM, removing reference');
-        characterListContainer = null;
-    }
-    // grey out the character-list-popup while we're searching
-    if (characterListContainer) {
-        characterListContainer.classList.add('searching');
-    }
-    console.log('Searching for characters with options:', options);
-    const characters = await fetchCharactersBySearch(options);
-    if (characterListContainer) {
-        characterListContainer.classList.remove('searching');
+async function downloadFixture(fullPath, type) {
+    const fixtures = await loadFixtures();
+    const fileName = `${fullPath.split('/').pop()}.json`;
+    if (type === 'lorebook') {
+        const lorebook = fixtures.lorebooks[fullPath];
+        if (!lorebook) {
+            throw new Error(`No fixture for lorebook ${fullPath}`);
+        }
+        return { file: new File([JSON.stringify(lorebook)], fileName, { type: 'application/json' }), contentType: 'lorebook' };
     }
 
-    return characters;
+    const details = await fetchFixtureDetails(fullPath, {});
+    const card = {
+        spec: 'chara_card_v2',
+        spec_version: '2.0',
+        data: {
+            name: details.name,
+            description: details.description,
+            personality: details.personality,
+            scenario: details.scenario,
+            first_mes: details.firstMessage,
+            mes_example: details.exampleDialogues,
+            creator_notes: details.creatorNotes,
+            alternate_greetings: details.alternateGreetings,
+            tags: details.tags,
+            creator: details.author,
+            character_version: details.version,
+            extensions: { chub: { full_path: fullPath } },
+        },
+    };
+    return { file: new File([JSON.stringify(card)], fileName, { type: 'application/json' }), contentType: 'character' };
 }
 
 /**
- * Opens the character search popup UI.
+ * Loads character details from the fixtures. Implements `CatalogProvider.getDetails` for the local provider.
+ * @param {string} fullPath - The path of the character.
+ * @param {Object} listed - The search result for the character, if loaded.
+ * @returns {Promise<Object>} - The normalized details.
  */
-function openSearchPopup() {
-    displayCharactersInListViewPopup();
+async function fetchFixtureDetails(fullPath, listed) {
+    const fixtures = await loadFixtures();
+    const recorded = fixtures.characters[fullPath];
+    if (!recorded) {
+        throw new Error(`No fixture for character ${fullPath}`);
+    }
+    return normalizeChubNode(fullPath, recorded.node || recorded, listed);
 }
 
+registerCatalogProvider({
+    id: 'local',
+    name: 'Local fixtures (offline)',
+    supportedFilters: ['namespace', 'searchTerm', 'name_like', 'username', 'includeTags', 'excludeTags', 'inclusive_or', 'max_days_ago', 'sort', 'asc', 'first', 'page'],
+    search: (options) => searchFixtures(options),
+    getDetails: (fullPath, listed) => fetchFixtureDetails(fullPath, listed),
+    download: (fullPath, type) => downloadFixture(fullPath, type),
+    getAvatarUrl: () => `${extensionFolderPath}placeholder.png`, // The fixtures carry no images
+    getGallery: async () => [],
+    getLorebookPath: (id) => findFixtureLorebookPath(id),
+    getTags: () => countFixtureTags(),
+    // The fixtures are recorded from Chub, so their pages still exist there
+    getPageUrl: (fullPath, type) => catalogProviders.get('chub').getPageUrl(fullPath, type),
+    getAuthorUrl: (author) => catalogProviders.get('chub').getAuthorUrl(author),
+});
+
 /**
- * Executes a character search based on provided options and updates the view with the results.
- * @param {Object} options - The search criteria/options for fetching characters.
- * @returns {Promise<void>} - Resolves once the character list has been updated in the view.
+ * Overwrites an existing character with a new card file, keeping its avatar file name and therefore its chats.
+ * @param {File} file - The new character card.
+ * @param {string} avatar - The avatar file name of the character to replace.
+ * @returns {Promise<void>} - Resolves once the character list has been reloaded.
  */
-async function executeCharacterSearch(options) {
-    // Clear the previous search result first
-    chubCharacters = [];
-    updateCharacterListInView(chubCharacters);  // Resetting character list before fetching new characters
+async function replaceCharacterWithFile(file, avatar) {
+    const formData = new FormData();
+    formData.append('avatar', file);
+    formData.append('file_type', file.name.split('.').pop().toLowerCase());
+    formData.append('preserved_name', avatar);
 
-    let characters  = await searchCharacters(options);
-
-    if (characters && characters.length > 0) {
-        console.log(`Found ${characters.length} characters. Updating character list.`);
-        updateCharacterListInView(characters);
-    } else {
-        console.log('No characters found');
-        if (characterListContainer) { // Ensure container exists before modifying
-             characterListContainer.innerHTML = '<div class="chub-no-characters-found">No characters found for the specified criteria.</div>';
-        }
+    const headers = getRequestHeaders();
+    delete headers['Content-Type']; // Let the browser set the multipart boundary
+    const response = await fetch('/api/characters/import', {
+        method: 'POST',
+        headers: headers,
+        body: formData,
+        cache: 'no-cache',
+    });
+    if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
     }
+    await getCharacters();
 }
 
-
 /**
- * Generates the HTML structure for a character list item.
- * @param {Object} character - The character data object with properties like url, name, description, tags, and author.
- * @param {number} index - The index of the character in the list.
- * @returns {string} - Returns an HTML string representation of the character list item.
+ * Downloads an expression pack and uploads it as the sprites of a library character, into the folder
+ * SillyTavern's Expressions extension uses for it (the avatar file name without extension).
+ * @param {number} characterId - The character's index in `characters`.
+ * @param {Object<string, string>} expressions - Emotion label -> image URL, see `normalizeExpressions`.
+ * @returns {Promise<number>} - The number of sprites installed. Failed ones are logged and skipped.
  */
-function generateCharacterListItem(character, index) {
-    // Use a placeholder if the image URL is invalid or missing
-    const imageUrl = character.url && character.url !== `${extensionFolderPath}placeholder.png` ? character.url : `${extensionFolderPath}placeholder.png`;
-    const placeholderImg = `${extensionFolderPath}placeholder.png`; // Define placeholder path
+async function installExpressionPack(characterId, expressions) {
+    const character = characters[characterId];
+    if (!character) {
+        throw new Error('Character not found in the library');
+    }
+    const folder = character.avatar.replace(/\.[^/.]+$/, '');
+    const headers = getRequestHeaders();
+    delete headers['Content-Type']; // Let the browser set the multipart boundary
 
-    return `
-        <div class="character-list-item chub-character-item" data-index="${index}">
-            <img class="thumbnail chub-thumbnail" src="${imageUrl}" onerror="this.onerror=null; this.src='${placeholderImg}';">
-            <div class="info chub-info">
-                <a href="https://chub.ai/characters/${character.fullPath}" target="_blank" title="View on Chub.ai: ${character.name}"><div class="name chub-name">${character.name || "Default Name"}</div></a>
-                <a href="https://chub.ai/users/${character.author}" target="_blank" title="View author on Chub.ai: ${character.author}">
-                 <span class="author chub-author">by ${character.author}</span>
-                </a>
-                <div class="description chub-description">${character.description}</div>
-                <div class="tags chub-tags">${character.tags.slice(0, 8).map(tag => `<span class="tag chub-tag">${tag}</span>`).join('')}</div>
+    const installed = await mapWithConcurrency(Object.entries(expressions), IMPORT_CONCURRENCY, async ([label, url]) => {
+        try {
+            const imageResponse = await fetch(url);
+            if (!imageResponse.ok) {
+                throw new Error(`${imageResponse.status} ${imageResponse.statusText}`);
+            }
+            const blob = await imageResponse.blob();
+            const extension = blob.type.split('/')[1]?.replace('jpeg', 'jpg') || url.split('?')[0].split('.').pop() || 'png';
+            const formData = new FormData();
+            formData.append('name', folder);
+            formData.append('label', label);
+            formData.append('avatar', new File([blob], `${label}.${extension}`, { type: blob.type }));
+            const response = await fetch(SPRITES_UPLOAD_PATH, { method: 'POST', headers: headers, body: formData, cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`${response.status} ${response.statusText}`);
+            }
+            return true;
+        } catch (error) {
+            console.warn(`Could not install the "${label}" expression of ${character.name}`, error);
+            return false;
+        }
+    });
+    return installed.filter(Boolean).length;
+}
+
+/**
+ * Installs an expression pack and reports the outcome in a toast.
+ * @param {number} characterId - The character's index in `characters`.
+ * @param {Object<string, string>} expressions - Emotion label -> image URL.
+ * @returns {Promise<void>} - Resolves once the sprites are uploaded.
+ */
+async function installExpressionPackWithToast(characterId, expressions) {
+    const name = escapeHtml(characters[characterId]?.name ?? '');
+    const total = Object.keys(expressions).length;
+    toastr.info(`Installing ${total} expressions for ${name}...`);
+    try {
+        const installed = await installExpressionPack(characterId, expressions);
+        if (installed === total) {
+            toastr.success(`Installed ${installed} expressions for ${name}.`);
+        } else {
+            toastr.warning(`Installed ${installed} of ${total} expressions for ${name}; see the console for the others.`);
+        }
+    } catch (error) {
+        console.error('Expression pack install failed', error);
+        toastr.error(`Could not install the expressions: ${escapeHtml(error.message)}`);
+    }
+}
+
+/**
+ * Installs the expression pack shown in the detail view into the imported copy of the character.
+ * @param {string} fullPath - The character's path.
+ * @returns {Promise<void>} - Resolves once the sprites are uploaded, or right away if the character isn't imported.
+ */
+async function installDetailExpressions(fullPath) {
+    const listed = chubCharacters.find(c => c.fullPath === fullPath) || { fullPath: fullPath };
+    const characterId = findImportedCharacter(listed);
+    if (characterId === -1) {
+        toastr.info("Import the character first, then install its expressions.");
+        return;
+    }
+    let expressions;
+    try {
+        ({ expressions } = await fetchCharacterDetails(fullPath));
+    } catch (error) {
+        console.error(`Could not load the expressions of ${fullPath}`, error);
+        toastr.error(`Could not load the expressions: ${escapeHtml(error.message)}`);
+        return;
+    }
+    await installExpressionPackWithToast(characterId, expressions);
+}
+
+/**
+ * Remembers where an imported character came from and when it was last synced, so the update checker has something to compare against.
+ * Stored under `data.extensions.chub_search` of the character card.
+ * @param {string} fullPath - The Chub path of the character that was just imported or updated.
+ * @param {Object} [params]
+ * @param {string} [params.version] - The version that was imported, if not the main one.
+ * @param {number} [params.importedAt] - When the character was first imported, for replaced characters whose new card
+ *     doesn't carry the date any more.
+ * @returns {Promise<number>} - The character's index in `characters`, or -1 if it couldn't be found.
+ */
+async function recordChubSync(fullPath, { version, importedAt } = {}) {
+    const characterId = findImportedCharacter({ fullPath });
+    if (characterId === -1) {
+        console.warn(`Imported character ${fullPath} not found in the library, sync date not recorded`);
+        return -1;
+    }
+    const previous = characters[characterId].data?.extensions?.chub_search || {};
+    const now = Date.now();
+    await writeExtensionField(characterId, 'chub_search', {
+        ...previous,
+        full_path: fullPath,
+        source_url: getActiveProvider().getPageUrl(fullPath, 'character'),
+        imported_at: importedAt ?? previous.imported_at ?? now,
+        synced_at: now,
+        version: version || 'main',
+    });
+    return characterId;
+}
+
+/**
+ * Adds a character's Chub topics as SillyTavern tags, passed through the tag mapping from the import options.
+ * @param {number} characterId - The character's index in `characters`.
+ * @param {string[]} topics - The Chub topics.
+ * @returns {number} - The number of tags added.
+ */
+function applyChubTags(characterId, topics) {
+    const { tagMapping, onlyMappedTags } = extension_settings.chub.importOptions;
+    const avatar = characters[characterId]?.avatar;
+    if (!avatar) {
+        return 0;
+    }
+    tag_map[avatar] ??= [];
+    let added = 0;
+    for (const topic of topics) {
+        const key = topic.toLowerCase();
+        const mapped = Object.hasOwn(tagMapping, key) ? tagMapping[key] : (onlyMappedTags ? '' : topic);
+        if (!mapped) {
+            continue;
+        }
+        const tag = tags.find(existing => existing.name.toLowerCase() === mapped.toLowerCase()) || createNewTag(mapped);
+        if (!tag_map[avatar].includes(tag.id)) {
+            tag_map[avatar].push(tag.id);
+            added++;
+        }
+    }
+    if (added > 0) {
+        saveSettingsDebounced();
+        printCharactersDebounced();
+    }
+    return added;
+}
+
+/**
+ * Parses the tag mapping textarea: one "chub topic = SillyTavern tag" per line; an empty right side drops the topic.
+ * @param {string} text - The textarea contents.
+ * @returns {Object} - Lowercase topic -> tag name.
+ */
+function parseTagMapping(text) {
+    const mapping = {};
+    for (const line of text.split('\n')) {
+        const separator = line.indexOf('=');
+        const topic = (separator === -1 ? line : line.slice(0, separator)).trim().toLowerCase();
+        if (topic) {
+            mapping[topic] = separator === -1 ? topic : line.slice(separator + 1).trim();
+        }
+    }
+    return mapping;
+}
+
+/**
+ * Formats the tag mapping for the textarea, see `parseTagMapping`.
+ * @param {Object} mapping - Lowercase topic -> tag name.
+ * @returns {string} - One mapping per line.
+ */
+function formatTagMapping(mapping) {
+    return Object.entries(mapping).map(([topic, tag]) => `${topic} = ${tag}`).join('\n');
+}
+
+/**
+ * Runs the steps that follow every character import: source metadata, tags, expressions and linked lorebooks.
+ * @param {string} fullPath - The character's path.
+ * @param {Object} [params]
+ * @param {string} [params.version] - The imported version.
+ * @param {number} [params.importedAt] - The first import date of a replaced character, see `recordChubSync`.
+ * @param {boolean} [params.applyTags] - Add the Chub topics as tags (defaults to the import options).
+ * @param {boolean} [params.installExpressions] - Install the expression pack (defaults to the import options).
+ * @param {boolean} [params.offerExpressions] - If the pack isn't installed, offer it in a toast.
+ * @returns {Promise<number>} - The character's index in `characters`, or -1 if it couldn't be found.
+ */
+async function finishCharacterImport(fullPath, { version, importedAt, applyTags = extension_settings.chub.importOptions.applyTags, installExpressions = extension_settings.chub.importOptions.installExpressions, offerExpressions = false } = {}) {
+    const characterId = await recordChubSync(fullPath, { version, importedAt });
+    if (characterId !== -1 && applyTags) {
+        try {
+            const listed = chubCharacters.find(c => c.fullPath === fullPath);
+            const topics = listed?.tags?.length ? listed.tags : (await fetchCharacterDetails(fullPath)).tags;
+            applyChubTags(characterId, topics);
+        } catch (error) {
+            console.warn(`Could not apply the Chub tags of ${fullPath}`, error);
+        }
+    }
+    if (characterId !== -1 && (installExpressions || offerExpressions)) {
+        try {
+            const { expressions } = await fetchCharacterDetails(fullPath);
+            const count = Object.keys(expressions).length;
+            if (count > 0 && installExpressions) {
+                await installExpressionPackWithToast(characterId, expressions);
+            } else if (count > 0) {
+                toastr.info(`Click to install its ${count} expressions`, `${escapeHtml(characters[characterId].name)} has an expression pack`, { onclick: () => installExpressionPackWithToast(characterId, expressions) });
+            }
+        } catch (error) {
+            console.warn(`Could not look up the expression pack of ${fullPath}`, error);
+        }
+    }
+    if (extension_settings.chub.importLinkedLorebooks) {
+        await importLinkedLorebooks(fullPath);
+    }
+    return characterId;
+}
+
+/**
+ * Shows the import options dialog for a single character.
+ * @param {string} fullPath - The character's path, pre-filled as the source (a fork's path can be entered instead).
+ * @returns {Promise<Object|null>} - `{ fullPath, version, applyTags, installExpressions, openChat }`, or null if cancelled.
+ */
+async function askImportOptions(fullPath) {
+    const defaults = extension_settings.chub.importOptions;
+    const chosen = { fullPath: fullPath, version: 'main', applyTags: defaults.applyTags, installExpressions: Boolean(defaults.installExpressions), openChat: defaults.openChat };
+    const popupPromise = callGenericPopup(`
+        <h3>Import options</h3>
+        <div class="chub-import-options">
+            <label for="chubImportPathInput" title="Enter the path of a fork to import that instead">Source</label>
+            <input type="text" id="chubImportPathInput" class="text_pole" value="${escapeHtml(fullPath)}">
+            <label for="chubImportVersionInput" title="A branch or commit of the character; main is the latest">Version</label>
+            <input type="text" id="chubImportVersionInput" class="text_pole" value="main">
+            <label class="checkbox_label" for="chubImportTagsCheckbox"><input type="checkbox" id="chubImportTagsCheckbox" ${chosen.applyTags ? 'checked' : ''}> Add Chub topics as tags</label>
+            <label class="checkbox_label" for="chubImportExpressionsCheckbox"><input type="checkbox" id="chubImportExpressionsCheckbox" ${chosen.installExpressions ? 'checked' : ''}> Install the expression pack, if it has one</label>
+            <label class="checkbox_label" for="chubImportOpenChatCheckbox"><input type="checkbox" id="chubImportOpenChatCheckbox" ${chosen.openChat ? 'checked' : ''}> Open a chat after import</label>
+            <label class="checkbox_label" for="chubImportAskCheckbox"><input type="checkbox" id="chubImportAskCheckbox" ${defaults.ask ? 'checked' : ''}> Ask every time (Shift+click an import button always asks)</label>
+        </div>`,
+        POPUP_TYPE.CONFIRM, '', { okButton: 'Import', cancelButton: 'Cancel' });
+
+    // The popup content is in the DOM now; keep the choices as they change
+    document.getElementById('chubImportPathInput')?.addEventListener('input', (event) => { chosen.fullPath = event.target.value.trim(); });
+    document.getElementById('chubImportVersionInput')?.addEventListener('input', (event) => { chosen.version = event.target.value.trim() || 'main'; });
+    document.getElementById('chubImportTagsCheckbox')?.addEventListener('change', (event) => { chosen.applyTags = event.target.checked; });
+    document.getElementById('chubImportExpressionsCheckbox')?.addEventListener('change', (event) => { chosen.installExpressions = event.target.checked; });
+    document.getElementById('chubImportOpenChatCheckbox')?.addEventListener('change', (event) => { chosen.openChat = event.target.checked; });
+    document.getElementById('chubImportAskCheckbox')?.addEventListener('change', (event) => {
+        defaults.ask = event.target.checked;
+        const askDefaultCheckbox = document.getElementById('chubImportAskDefaultCheckbox');
+        if (askDefaultCheckbox) {
+            askDefaultCheckbox.checked = defaults.ask;
+        }
+        saveSettingsDebounced();
+    });
+
+    const confirmed = await popupPromise;
+    return confirmed && chosen.fullPath ? chosen : null;
+}
+
+/**
+ * Finds a search result in the SillyTavern library: first by the Chub path stored in the card,
+ * then by name and creator.
+ * @param {Object} character - A result with `fullPath` and optionally `name` and `author`.
+ * @returns {number} - The index in SillyTavern's `characters`, or -1 if not imported.
+ */
+function findImportedCharacter(character) {
+    const lower = (value) => String(value ?? '').toLowerCase();
+    const fullPath = lower(character.fullPath);
+    const byPath = characters.findIndex(c => fullPath && lower(getChubPath(c)) === fullPath);
+    if (byPath !== -1 || !character.name || !character.author) {
+        return byPath;
+    }
+    return characters.findIndex(c => lower(c.name) === lower(character.name) && lower(c.data?.creator) === lower(character.author));
+}
+
+/**
+ * Checks whether a search result is already in the library: characters via `findImportedCharacter`,
+ * lorebooks by World Info name.
+ * @param {Object} item - A search result.
+ * @returns {boolean} - True if it was imported before.
+ */
+function isAlreadyImported(item) {
+    if (item.type === 'lorebook') {
+        return world_names.some(name => name.toLowerCase() === String(item.name).toLowerCase());
+    }
+    return findImportedCharacter(item) !== -1;
+}
+
+/**
+ * Reads the Chub path of a library character: from the card's own Chub metadata, or from what this extension recorded.
+ * @param {Object} character - A character from SillyTavern's `characters`.
+ * @returns {string|null} - The Chub full path, or null if the character didn't come from Chub.
+ */
+function getChubPath(character) {
+    return character.data?.extensions?.chub?.full_path || character.data?.extensions?.chub_search?.full_path || null;
+}
+
+/**
+ * Asks what to do when importing a character that is already in the library.
+ * @param {string} name - The character name to show.
+ * @returns {Promise<'replace'|'keep'|'cancel'>} - The user's choice.
+ */
+async function askDuplicateAction(name) {
+    const REPLACE = 2;
+    const KEEP_BOTH = 3;
+    const result = await callGenericPopup(
+        `<h3>"${escapeHtml(name)}" is already imported</h3><p>Replace the existing character (its chats are kept) or import a second copy?</p>`,
+        POPUP_TYPE.TEXT, '',
+        {
+            okButton: false,
+            cancelButton: 'Cancel',
+            customButtons: [
+                { text: 'Replace', result: REPLACE },
+                { text: 'Keep both', result: KEEP_BOTH },
+            ],
+        },
+    );
+    if (result === REPLACE) {
+        return 'replace';
+    }
+    return result === KEEP_BOTH ? 'keep' : 'cancel';
+}
+
+/**
+ * Downloads a custom character based on the provided URL.
+ * Asks for the import options if configured, and warns first if the character is already in the library.
+ * @param {string} input - A string containing the URL of the character to be downloaded.
+ * @param {Object} [params]
+ * @param {boolean} [params.ask] - Show the import options dialog (defaults to the import options setting).
+ * @returns {Promise<boolean>} - Resolves with true once the character has been processed, false if an error occurs or the user cancels.
+ */
+async function downloadCharacter(input, { ask = extension_settings.chub.importOptions.ask } = {}) {
+    let url = input.trim();
+    const defaults = extension_settings.chub.importOptions;
+    let importOptions = { version: 'main', applyTags: defaults.applyTags, installExpressions: Boolean(defaults.installExpressions), openChat: defaults.openChat };
+    if (ask) {
+        const chosen = await askImportOptions(url);
+        if (!chosen) {
+            return false;
+        }
+        url = chosen.fullPath;
+        importOptions = chosen;
+    }
+    console.debug('Custom content import started', url);
+
+    const listed = chubCharacters.find(c => c.fullPath === url) || { fullPath: url };
+    const existingIndex = findImportedCharacter(listed);
+    let replaceAvatar = null;
+    const existingName = characters[existingIndex]?.name;
+    // The replacing card starts without our sync data, so keep the first import date from the old one
+    const importedAt = characters[existingIndex]?.data?.extensions?.chub_search?.imported_at;
+    if (existingIndex !== -1) {
+        const action = await askDuplicateAction(existingName);
+        if (action === 'cancel') {
+            return false;
+        }
+        if (action === 'replace') {
+            replaceAvatar = characters[existingIndex].avatar;
+        }
+    }
+
+    try {
+        const { file, contentType } = await getActiveProvider().download(url, 'character', { version: importOptions.version });
+        if (replaceAvatar && contentType === 'character') {
+            await replaceCharacterWithFile(file, replaceAvatar);
+            // The import options may have picked a specific version, or a fork as the source
+            const versionLabel = importOptions.version && importOptions.version !== 'main' ? `version ${importOptions.version}` : 'the latest version';
+            toastr.success(`Replaced ${escapeHtml(existingName)} with ${escapeHtml(versionLabel)} of ${escapeHtml(url)}.`);
+        } else {
+            await processCustomContent(file, contentType);
+        }
+        if (contentType === 'character') {
+            const characterId = await finishCharacterImport(url, { ...importOptions, importedAt: replaceAvatar ? importedAt : undefined, offerExpressions: true });
+            if (importOptions.openChat && characterId !== -1) {
+                document.getElementById('dialogue_popup_ok')?.click(); // Close the search popup so the chat is visible
+                await selectCharacterById(String(characterId));
+            }
+        }
+        updateCharacterListInView(chubCharacters); // Refresh the "already imported" badges
+        return true;
+    } catch (error) {
+        toastr.info("Click to go to the character page", 'Custom content import failed', {onclick: () => window.open(getActiveProvider().getPageUrl(url, 'character'), '_blank') });
+        console.error('Custom content import failed', error);
+        return false;
+    }
+}
+
+/**
+ * Builds the URL SillyTavern's importer needs for a Chub lorebook.
+ * @param {string} fullPath - The lorebook's path (author/name).
+ * @returns {string} - The lorebook page URL.
+ */
+function getLorebookUrl(fullPath) {
+    return `https://chub.ai/lorebooks/${fullPath}`;
+}
+
+/**
+ * Imports a Chub lorebook as SillyTavern World Info.
+ * @param {string} fullPath - The lorebook's path (author/name).
+ * @returns {Promise<boolean>} - Resolves with true on success, false if an error occurs.
+ */
+async function downloadLorebook(fullPath) {
+    console.debug('Lorebook import started', fullPath);
+    try {
+        await importContent(fullPath, 'lorebook');
+        updateCharacterListInView(chubCharacters); // Refresh the "already imported" badges
+        return true;
+    } catch (error) {
+        toastr.info("Click to go to the lorebook page", 'Lorebook import failed', { onclick: () => window.open(getActiveProvider().getPageUrl(fullPath, 'lorebook'), '_blank') });
+        console.error('Lorebook import failed', error);
+        return false;
+    }
+}
+
+/**
+ * Imports the lorebooks a Chub character links to. Failures are reported but don't abort the character import.
+ * @param {string} fullPath - The character's path.
+ * @returns {Promise<number>} - The number of imported lorebooks.
+ */
+async function importLinkedLorebooks(fullPath) {
+    let imported = 0;
+    try {
+        const details = await fetchCharacterDetails(fullPath);
+        for (const lorebookPath of details.linkedLorebooks) {
+            try {
+                await importContent(lorebookPath, 'lorebook');
+                imported++;
+            } catch (error) {
+                console.error(`Linked lorebook ${lorebookPath} could not be imported`, error);
+                toastr.warning(`Linked lorebook ${escapeHtml(lorebookPath)} could not be imported.`);
+            }
+        }
+    } catch (error) {
+        console.error(`Could not look up linked lorebooks of ${fullPath}`, error);
+    }
+    return imported;
+}
+
+/**
+ * Adds characters to the import queue and starts processing it.
+ * Characters that are already queued, importing or imported are skipped; failed ones are re-queued.
+ * @param {Array} characters - Character or lorebook objects (at least `fullPath` and `name`, optionally `type`) to import.
+ */
+function enqueueImports(characters) {
+    for (const character of characters) {
+        const existing = importQueue.find(item => item.fullPath === character.fullPath);
+        if (!existing) {
+            importQueue.push({ fullPath: character.fullPath, name: character.name, type: character.type || 'character', status: 'queued', error: null });
+        } else if (existing.status === 'failed') {
+            existing.status = 'queued';
+            existing.error = null;
+        }
+    }
+    renderImportQueue();
+    runImportQueue();
+}
+
+/**
+ * Processes queued imports with at most `IMPORT_CONCURRENCY` downloads in flight,
+ * then shows a summary of the items this run processed.
+ * @returns {Promise<void>} - Resolves once no queued items are left.
+ */
+async function runImportQueue() {
+    if (importQueueRunning) {
+        return;
+    }
+    importQueueRunning = true;
+    const processed = []; // Earlier runs' items stay in the queue and must not be counted again
+
+    const worker = async () => {
+        let item;
+        while ((item = importQueue.find(queued => queued.status === 'queued'))) {
+            item.status = 'importing';
+            processed.push(item);
+            renderImportQueue();
+            try {
+                if (item.type === 'lorebook') {
+                    await importContent(item.fullPath, 'lorebook');
+                } else {
+                    await importContent(item.fullPath);
+                    await finishCharacterImport(item.fullPath);
+                }
+                item.status = 'done';
+            } catch (error) {
+                console.error(`Batch import failed for ${item.fullPath}`, error);
+                item.status = 'failed';
+                item.error = error.message;
+            }
+            renderImportQueue();
+        }
+    };
+
+    try {
+        await Promise.all(Array.from({ length: IMPORT_CONCURRENCY }, worker));
+    } finally {
+        importQueueRunning = false;
+    }
+
+    updateCharacterListInView(chubCharacters); // Refresh the "already imported" badges
+    const done = processed.filter(item => item.status === 'done').length;
+    const failed = processed.filter(item => item.status === 'failed').length;
+    if (failed > 0) {
+        toastr.warning(`${done} imported, ${failed} failed. Use "Retry failed" in the import queue.`, 'Batch import finished');
+    } else {
+        toastr.success(`${done} item${done === 1 ? '' : 's'} imported.`, 'Batch import finished');
+    }
+}
+
+/**
+ * Re-queues every failed import and restarts the queue.
+ */
+function retryFailedImports() {
+    importQueue.filter(item => item.status === 'failed').forEach(item => {
+        item.status = 'queued';
+        item.error = null;
+    });
+    renderImportQueue();
+    runImportQueue();
+}
+
+/**
+ * Removes finished (imported or failed) items from the import queue.
+ */
+function clearFinishedImports() {
+    importQueue = importQueue.filter(item => item.status === 'queued' || item.status === 'importing');
+    renderImportQueue();
+}
+
+/**
+ * Generates the HTML for the import queue panel.
+ * @returns {string} - The inner HTML of the queue panel, or an empty string when the queue is empty.
+ */
+function generateImportQueueHtml() {
+    if (importQueue.length === 0) {
+        return '';
+    }
+
+    const statusIcons = {
+        queued: 'fa-clock',
+        importing: 'fa-spinner fa-spin',
+        done: 'fa-check',
+        failed: 'fa-triangle-exclamation',
+    };
+    const count = (status) => importQueue.filter(item => item.status === status).length;
+    const finished = count('done') + count('failed');
+
+    return `
+        <div class="chub-import-queue-header flex-container flex-no-wrap flex-align-center">
+            <span class="flex1">Import queue: ${finished}/${importQueue.length} finished, ${count('failed')} failed</span>
+            <div class="menu_button" id="chubRetryFailedButton" title="Retry failed imports" ${count('failed') === 0 ? 'hidden' : ''}><i class="fas fa-rotate-right"></i> Retry failed</div>
+            <div class="menu_button" id="chubClearFinishedButton" title="Remove finished imports from the queue"><i class="fas fa-broom"></i> Clear finished</div>
+        </div>
+        <div class="chub-import-queue-items">
+            ${importQueue.map(item => `
+                <div class="chub-import-queue-item chub-import-${item.status}" title="${escapeHtml(item.error ? `Error: ${item.error}` : item.status)}">
+                    <i class="fas ${statusIcons[item.status]}"></i>
+                    <span class="chub-import-queue-name">${escapeHtml(item.name)}</span>
+                    <span class="chub-import-queue-status">${item.status}</span>
+                </div>`).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Re-renders the import queue panel if the popup is open.
+ */
+function renderImportQueue() {
+    const queueElement = document.getElementById('chubImportQueue');
+    if (!queueElement) {
+        return;
+    }
+    queueElement.innerHTML = generateImportQueueHtml();
+    queueElement.hidden = importQueue.length === 0;
+}
+
+/**
+ * Updates the selection counter and the "select all on page" checkbox to reflect `selectedCharacters`.
+ */
+function syncSelectionControls() {
+    const countElement = document.getElementById('chubSelectionCount');
+    if (countElement) {
+        countElement.textContent = `${selectedCharacters.size} selected`;
+    }
+
+    const selectAllCheckbox = document.getElementById('chubSelectAllCheckbox');
+    if (selectAllCheckbox) {
+        const visibleCharacters = getVisibleCharacters();
+        const selectedOnPage = visibleCharacters.filter(character => selectedCharacters.has(character.fullPath)).length;
+        selectAllCheckbox.checked = visibleCharacters.length > 0 && selectedOnPage === visibleCharacters.length;
+        selectAllCheckbox.indeterminate = selectedOnPage > 0 && selectedOnPage < visibleCharacters.length;
+    }
+
+    characterListContainer?.querySelectorAll('.chub-character-item').forEach(item => {
+        item.setAttribute('aria-selected', String(selectedCharacters.has(item.dataset.path)));
+    });
+}
+
+/**
+ * Checks a character against the local blocklist.
+ * @param {Object} character - A character from the search results.
+ * @returns {boolean} - True if the character's author, one of its tags or a keyword is blocked.
+ */
+function isBlocked(character) {
+    const blocklist = extension_settings.chub?.blocklist;
+    if (!blocklist) {
+        return false;
+    }
+    const lower = (value) => String(value ?? '').toLowerCase();
+    const tags = (character.tags || []).map(lower);
+
+    if (blocklist.authors.some(author => lower(author) === lower(character.author))) {
+        return true;
+    }
+    if (blocklist.tags.some(tag => tags.includes(lower(tag)))) {
+        return true;
+    }
+    const haystack = [character.name, character.description, ...tags].map(lower).join('\n');
+    return blocklist.keywords.some(keyword => keyword && haystack.includes(lower(keyword)));
+}
+
+/**
+ * Checks whether a result should be left out of the list, either because of the blocklist
+ * or because it is already imported and imported characters are hidden.
+ * @param {Object} character - A character from the search results.
+ * @returns {boolean} - True if the character should not be shown.
+ */
+function isHidden(character) {
+    return isBlocked(character) || (extension_settings.chub?.hideImported && isAlreadyImported(character));
+}
+
+/**
+ * Returns the loaded characters that aren't hidden by the blocklist or the "hide imported" option.
+ * @returns {Array} - The visible subset of `chubCharacters`.
+ */
+function getVisibleCharacters() {
+    return chubCharacters.filter(character => !isHidden(character));
+}
+
+/**
+ * Adds an author, tag or keyword to the blocklist and re-renders the results.
+ * @param {'authors'|'tags'|'keywords'} kind - Which list to add to.
+ * @param {string} value - The value to block.
+ */
+function addToBlocklist(kind, value) {
+    const list = extension_settings.chub.blocklist[kind];
+    if (!value || list.some(item => item.toLowerCase() === value.toLowerCase())) {
+        return;
+    }
+    list.push(value);
+    saveSettingsDebounced();
+    refreshBlocklistInputs();
+    updateCharacterListInView(chubCharacters);
+    toastr.info('Click to undo', `Hidden ${kind === 'authors' ? 'author' : 'tag'} "${escapeHtml(value)}"`, { onclick: () => removeFromBlocklist(kind, value) });
+}
+
+/**
+ * Removes a value from the blocklist and re-renders the results.
+ * @param {'authors'|'tags'|'keywords'} kind - Which list to remove from.
+ * @param {string} value - The value to unblock.
+ */
+function removeFromBlocklist(kind, value) {
+    extension_settings.chub.blocklist[kind] = extension_settings.chub.blocklist[kind].filter(item => item !== value);
+    saveSettingsDebounced();
+    refreshBlocklistInputs();
+    updateCharacterListInView(chubCharacters);
+}
+
+/**
+ * Copies the blocklist into its textareas in the popup.
+ */
+function refreshBlocklistInputs() {
+    for (const kind of ['authors', 'tags', 'keywords']) {
+        const textarea = document.getElementById(`chubBlocklist_${kind}`);
+        if (textarea) {
+            textarea.value = extension_settings.chub.blocklist[kind].join('\n');
+        }
+    }
+}
+
+/**
+ * Shows how many of the loaded results are visible and how many the blocklist or "hide imported" hid.
+ * @param {Array} characters - All loaded results, hidden ones included.
+ */
+function updateResultsStatus(characters) {
+    const statusElement = document.getElementById('chubResultsStatus');
+    if (!statusElement) {
+        return;
+    }
+    if (characters.length === 0) {
+        statusElement.textContent = '';
+        return;
+    }
+    const blocked = characters.filter(character => isBlocked(character)).length;
+    const hiddenImported = characters.filter(character => !isBlocked(character) && isHidden(character)).length;
+    const shown = characters.length - blocked - hiddenImported;
+
+    const page = document.getElementById('pageNumber')?.value || 1;
+    const firstPage = infiniteScrollState?.options.page || 1;
+    const pageLabel = infiniteScrollState && Number(page) > firstPage ? `Pages ${firstPage}-${page}` : `Page ${page}`;
+    statusElement.textContent = `${pageLabel}: ${shown} shown`
+        + (lastSearchTotal !== null ? ` of ${lastSearchTotal} results` : '')
+        + (blocked > 0 ? `, ${blocked} hidden by your blocklist` : '')
+        + (hiddenImported > 0 ? `, ${hiddenImported} already imported` : '');
+}
+
+/**
+ * Updates the character list in the view based on provided characters.
+ * @param {Array} characters - A list of character data objects to be rendered in the view.
+ */
+function updateCharacterListInView(characters) {
+    const visible = sortLoadedResults(characters.filter(character => !isHidden(character)));
+    if (characterListContainer) {
+        characterListContainer.innerHTML = visible.length === 0 && characters.length > 0
+            ? `<div class="chub-no-characters-found">All ${characters.length} results on this page are hidden by your blocklist or already imported.</div>`
+            : visible.map(generateResultListItem).join('');
+    }
+    updateResultsStatus(characters);
+    renderAuthorBanner();
+    syncSelectionControls();
+    syncResultFocus();
+}
+
+/**
+ * Checks whether an author is on the follow list.
+ * @param {string} author - The author's username.
+ * @returns {boolean} - True if followed.
+ */
+function isFollowing(author) {
+    return Object.hasOwn(extension_settings.chub.followedAuthors, author);
+}
+
+/**
+ * Follows or unfollows an author. New follows only report what is published from now on.
+ * @param {string} author - The author's username.
+ */
+function toggleFollowAuthor(author) {
+    if (!author) {
+        return;
+    }
+    if (isFollowing(author)) {
+        delete extension_settings.chub.followedAuthors[author];
+    } else {
+        extension_settings.chub.followedAuthors[author] = { followedAt: Date.now(), lastSeenAt: Date.now() };
+    }
+    saveSettingsDebounced();
+    renderAuthorBanner();
+}
+
+/**
+ * Shows which author the results are scoped to (with a follow button), or which authors the followed feed covers.
+ */
+function renderAuthorBanner() {
+    const banner = document.getElementById('chubAuthorBanner');
+    if (!banner) {
+        return;
+    }
+    const followed = Object.keys(extension_settings.chub.followedAuthors).sort((a, b) => a.localeCompare(b));
+    const author = document.getElementById('chubAuthorInput')?.value.trim();
+
+    if (followedFeedSince !== null) {
+        banner.innerHTML = `
+            <span class="flex1"><i class="fas fa-user-group"></i> New from ${followed.length} followed author${followed.length === 1 ? '' : 's'} since ${escapeHtml(new Date(followedFeedSince).toLocaleString())}</span>
+            <span class="chub-followed-authors">${followed.map(name => `<a href="#" class="chub-author-link" data-author="${escapeHtml(name)}">${escapeHtml(name)}</a>`).join(', ')}</span>`;
+    } else if (author) {
+        const following = isFollowing(author);
+        banner.innerHTML = `
+            <span class="flex1"><i class="fas fa-user"></i> Everything by <b>${escapeHtml(author)}</b></span>
+            <div class="menu_button" id="chubFollowAuthorButton" data-author="${escapeHtml(author)}" role="button" tabindex="0" aria-pressed="${following}">
+                <i class="fa-${following ? 'solid' : 'regular'} fa-bell"></i> ${following ? 'Following' : 'Follow'}
+            </div>
+            <a class="menu_button" href="${escapeHtml(safeUrl(getActiveProvider().getAuthorUrl(author)))}" target="_blank" rel="noopener noreferrer" title="Open the author's page"><i class="fas fa-arrow-up-right-from-square"></i></a>
+            <div class="menu_button" id="chubClearAuthorButton" role="button" tabindex="0" aria-label="Show all authors" title="Show all authors"><i class="fas fa-xmark"></i></div>`;
+    }
+    banner.hidden = followedFeedSince === null && !author;
+}
+
+/**
+ * Searches every followed author for what they published since they were last looked at.
+ * @returns {Promise<{characters: Array, since: number, checked: string[], failed: number}>} - The new results
+ *     (newest first), the oldest date covered, the authors that were searched and the number that couldn't be.
+ */
+async function fetchFollowedFeed() {
+    const followed = Object.entries(extension_settings.chub.followedAuthors);
+    const namespace = document.getElementById('chubContentTypeSelect')?.value || 'characters';
+    const checked = [];
+    let failed = 0;
+
+    const perAuthor = await mapWithConcurrency(followed, IMPORT_CONCURRENCY, async ([author, info]) => {
+        const since = info.lastSeenAt || info.followedAt;
+        const options = applySearchDefaults({
+            namespace: namespace,
+            username: author,
+            // The API counts whole days, the exact cut-off is applied below
+            max_days_ago: Math.max(1, Math.ceil((Date.now() - since) / (24 * 60 * 60 * 1000))),
+            sort: 'created_at',
+            asc: false,
+            first: FOLLOWED_FEED_PAGE_SIZE,
+        });
+        try {
+            const { characters } = await requestSearchPage(options, `feed:${author}`);
+            checked.push(author);
+            // Results without a creation date can't be placed before or after the last look, so they'd show up every time
+            return characters.filter(character => character.createdAt && character.createdAt > since);
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error(`Followed feed: searching ${author} failed`, error);
+                failed++;
+            }
+            return [];
+        }
+    });
+
+    const since = Math.min(...followed.map(([, info]) => info.lastSeenAt || info.followedAt));
+    const characters = perAuthor.flat().sort((a, b) => (b.createdAt ?? 0) - (a.createdAt ?? 0));
+    return { characters, since, checked, failed };
+}
+
+/**
+ * Replaces the results with what followed authors published since the last look, then marks the authors that
+ * could be searched as seen.
+ * @returns {Promise<void>} - Resolves once the feed is rendered.
+ */
+async function showFollowedFeed() {
+    if (Object.keys(extension_settings.chub.followedAuthors).length === 0) {
+        toastr.info("You don't follow anyone yet. Click an author's name and use Follow on their page.");
+        return;
+    }
+    closeCharacterDetails();
+    const generation = ++searchGeneration; // Replaces the results like a search does
+    chubCharacters = [];
+    chubCharactersOptions = null;
+    lastSearchTotal = null;
+    infiniteScrollState = null;
+    if (characterListContainer) {
+        characterListContainer.classList.add('searching');
+        characterListContainer.innerHTML = '<div class="chub-no-characters-found"><i class="fas fa-spinner fa-spin"></i> Checking followed authors...</div>';
+    }
+
+    try {
+        const now = Date.now(); // Before searching, so nothing published meanwhile is skipped next time
+        const { characters, since, checked, failed } = await fetchFollowedFeed();
+        if (generation !== searchGeneration) {
+            return; // A search started while the feed was loading; nothing was shown, so nothing is marked as seen
+        }
+        // Authors that failed keep their date, so their new uploads show up next time
+        checked.forEach(author => {
+            const info = extension_settings.chub.followedAuthors[author];
+            if (info) {
+                info.lastSeenAt = now;
+            }
+        });
+        saveSettingsDebounced();
+
+        followedFeedSince = since;
+        chubCharacters = characters;
+        lastSearchTotal = characters.length;
+        if (characters.length > 0) {
+            updateCharacterListInView(chubCharacters);
+        } else if (characterListContainer) {
+            characterListContainer.innerHTML = '<div class="chub-no-characters-found">Nothing new from the authors you follow.</div>';
+            updateResultsStatus(chubCharacters);
+            renderAuthorBanner();
+        }
+        if (failed > 0) {
+            toastr.warning(`${failed} followed author${failed === 1 ? '' : 's'} could not be checked.`);
+        }
+    } finally {
+        if (generation === searchGeneration) {
+            characterListContainer?.classList.remove('searching');
+        }
+    }
+}
+
+/**
+ * Keeps exactly one result in the tab order (roving tabindex): the focused one, or the first after a re-render.
+ */
+function syncResultFocus() {
+    if (!characterListContainer) {
+        return;
+    }
+    const items = [...characterListContainer.querySelectorAll('.chub-character-item')];
+    const focused = items.find(item => item.dataset.path === focusedResultPath) || items[0];
+    items.forEach(item => {
+        item.tabIndex = item === focused ? 0 : -1;
+        item.classList.toggle('chub-focused', item === focused && item.dataset.path === focusedResultPath);
+    });
+}
+
+/**
+ * Moves the keyboard focus highlight to a result.
+ * @param {HTMLElement} item - The `.chub-character-item` to focus.
+ */
+function focusResult(item) {
+    if (!item) {
+        return;
+    }
+    focusedResultPath = item.dataset.path;
+    syncResultFocus();
+    item.focus();
+    item.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Moves the focus highlight through the results. In the grid, up and down move by a whole row.
+ * @param {string} key - The pressed key.
+ * @returns {boolean} - True if the key was a navigation key.
+ */
+function moveResultFocus(key) {
+    const items = [...characterListContainer.querySelectorAll('.chub-character-item')];
+    if (items.length === 0) {
+        return false;
+    }
+    const current = items.findIndex(item => item.dataset.path === focusedResultPath);
+    const columns = getViewMode() === 'grid'
+        ? getComputedStyle(characterListContainer).gridTemplateColumns.split(' ').length
+        : 1;
+    const steps = {
+        ArrowDown: columns, j: 1,
+        ArrowUp: -columns, k: -1,
+        ArrowRight: 1, ArrowLeft: -1,
+        Home: -items.length, End: items.length,
+    };
+    if (!(key in steps)) {
+        return false;
+    }
+    const next = current === -1 ? 0 : clamp(current + steps[key], 0, items.length - 1);
+    focusResult(items[next]);
+    return true;
+}
+
+/**
+ * Returns the saved result layout, falling back to the list for unknown values.
+ * @returns {string} - A key of `VIEW_MODES`.
+ */
+function getViewMode() {
+    const mode = extension_settings.chub?.viewMode;
+    return Object.hasOwn(VIEW_MODES, mode) ? mode : 'list';
+}
+
+/**
+ * Switches the result layout and remembers it.
+ * @param {string} mode - A key of `VIEW_MODES`.
+ */
+function setViewMode(mode) {
+    if (!Object.hasOwn(VIEW_MODES, mode)) {
+        return;
+    }
+    extension_settings.chub.viewMode = mode;
+    saveSettingsDebounced();
+    if (characterListContainer) {
+        Object.keys(VIEW_MODES).forEach(key => characterListContainer.classList.toggle(`chub-view-${key}`, key === mode));
+    }
+    document.querySelectorAll('#chubViewToggle .chub-view-button').forEach(button => {
+        button.classList.toggle('active', button.dataset.view === mode);
+        button.setAttribute('aria-pressed', String(button.dataset.view === mode));
+    });
+}
+
+// Removed makeTagPermutations as the API likely handles variations.
+
+// Map simplified option names to API parameter names
+const QUERY_PARAM_MAP = {
+    searchTerm: 'search', // Full-text search
+    name_like: 'name_like',
+    first: 'first',
+    min_users_chatted: 'min_users_chatted',
+    includeTags: 'tags',
+    excludeTags: 'exclude_tags',
+    page: 'page',
+    sort: 'sort',
+    asc: 'asc',
+    include_forks: 'include_forks',
+    nsfw: 'nsfw',
+    nsfl: 'nsfl',
+    nsfw_only: 'nsfw_only',
+    require_images: 'require_images',
+    require_example_dialogues: 'require_example_dialogues',
+    require_alternate_greetings: 'require_alternate_greetings',
+    require_custom_prompt: 'require_custom_prompt',
+    max_days_ago: 'max_days_ago',
+    exclude_mine: 'exclude_mine', // Might require auth context
+    only_mine: 'only_mine', // Might require auth context
+    min_tokens: 'min_tokens',
+    max_tokens: 'max_tokens',
+    require_expressions: 'require_expressions',
+    require_lore: 'require_lore',
+    mine_first: 'mine_first', // Might require auth context
+    require_lore_embedded: 'require_lore_embedded',
+    require_lore_linked: 'require_lore_linked',
+    my_favorites: 'my_favorites', // Might require auth context
+    topics: 'topics', // Alternative tag system?
+    excludetopics: 'excludetopics', // Alternative tag system?
+    creator_id: 'creator_id',
+    username: 'username',
+    inclusive_or: 'inclusive_or',
+    recommended_verified: 'recommended_verified',
+    min_tags: 'min_tags',
+    min_ai_rating: 'min_ai_rating',
+    language: 'language',
+    namespace: 'namespace', // 'characters' or 'lorebooks'
+    // Skip 'count', 'previous', 'special_mode' for now unless specifically needed
+};
+
+/**
+ * Builds the query string for the API call based on the provided options.
+ * @param {object} options - The search options object.
+ * @returns {string} - The generated query string part of the URL.
+ */
+function buildQueryString(options) {
+    const params = new URLSearchParams();
+
+
+    for (const [optionKey, value] of Object.entries(options)) {
+        const apiKey = QUERY_PARAM_MAP[optionKey];
+        if (apiKey && (value !== null && value !== undefined && value !== '')) {
+            // Special handling for tags/topics to join array and limit length
+            if ((apiKey === 'tags' || apiKey === 'exclude_tags' || apiKey === 'topics' || apiKey === 'excludetopics') && Array.isArray(value)) {
+                 if (value.length > 0) {
+                     // Join non-empty tags and limit length (adjust limit as needed)
+                     const tagsString = value.filter(tag => tag.length > 0).join(',').slice(0, 500);
+                     if (tagsString) {
+                         params.append(apiKey, tagsString);
+                     }
+                 }
+            }
+            // Handle number inputs that might be empty strings
+            else if (['min_tokens', 'max_tokens', 'min_tags', 'min_users_chatted', 'max_days_ago', 'creator_id', 'min_ai_rating'].includes(apiKey)) {
+                const numValue = parseInt(value, 10);
+                if (!isNaN(numValue)) {
+                     params.append(apiKey, numValue);
+                }
+            }
+             // Handle boolean explicitly to ensure 'false' is sent
+             else if (typeof value === 'boolean') {
+                 params.append(apiKey, value);
+             }
+            // Default handling for other types (strings, numbers derived elsewhere like page/first)
+            else {
+                params.append(apiKey, value);
+            }
+        }
+    }
+
+    // Add venus=true if using the character endpoint? Check API docs. Assume yes for now.
+    // params.append('venus', 'true'); // Might not be needed for /api/characters/search
+
+    return params.toString();
+}
+
+
+/**
+ * Builds the cache key for a search URL: the same query with its parameters in a stable order.
+ * @param {string} url - The full search URL.
+ * @returns {string} - The normalized key.
+ */
+function normalizeQueryKey(url) {
+    const parsed = new URL(url);
+    const params = [...parsed.searchParams.entries()].sort(([a], [b]) => a.localeCompare(b));
+    return `${parsed.origin}${parsed.pathname}?${new URLSearchParams(params).toString()}`;
+}
+
+/**
+ * Opens (once) the IndexedDB database holding cached search responses.
+ * @returns {Promise<IDBDatabase|null>} - The database, or null if IndexedDB is unavailable.
+ */
+function openCacheDb() {
+    if (!cacheDbPromise) {
+        cacheDbPromise = new Promise(resolve => {
+            try {
+                const request = indexedDB.open(CACHE_DB_NAME, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(CACHE_STORE_NAME, { keyPath: 'key' });
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('Could not open the CHub search cache', request.error);
+                    resolve(null);
+                };
+            } catch (error) {
+                console.warn('IndexedDB is not available, CHub search cache is memory-only', error);
+                resolve(null);
+            }
+        });
+    }
+    return cacheDbPromise;
+}
+
+/**
+ * Runs a single request against the cache object store.
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'.
+ * @param {function(IDBObjectStore): IDBRequest} action - Creates the request on the store.
+ * @returns {Promise<*>} - The request result, or undefined if the database is unavailable or the request failed.
+ */
+async function withCacheStore(mode, action) {
+    const db = await openCacheDb();
+    if (!db) {
+        return undefined;
+    }
+    return new Promise(resolve => {
+        try {
+            const request = action(db.transaction(CACHE_STORE_NAME, mode).objectStore(CACHE_STORE_NAME));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('CHub search cache request failed', request.error);
+                resolve(undefined);
+            };
+        } catch (error) {
+            // The database was closed, or the value can't be stored (DataCloneError)
+            console.warn('CHub search cache request failed', error);
+            resolve(undefined);
+        }
+    });
+}
+
+/**
+ * Looks up a cached response that is younger than the configured TTL.
+ * @param {string} key - The normalized query key.
+ * @returns {Promise<Object|null>} - The cached JSON, or null on a miss.
+ */
+async function readCachedResponse(key) {
+    const ttl = (extension_settings.chub?.cacheTtlMinutes ?? defaultSettings.cacheTtlMinutes) * 60 * 1000;
+    if (ttl <= 0) {
+        return null;
+    }
+    const isFresh = (entry) => entry && Date.now() - entry.timestamp < ttl;
+
+    const memoryEntry = searchMemoryCache.get(key);
+    if (isFresh(memoryEntry)) {
+        return memoryEntry.data;
+    }
+
+    const storedEntry = await withCacheStore('readonly', store => store.get(key));
+    if (isFresh(storedEntry)) {
+        searchMemoryCache.set(key, storedEntry);
+        return storedEntry.data;
+    }
+    if (storedEntry) {
+        withCacheStore('readwrite', store => store.delete(key));
+    }
+    return null;
+}
+
+/**
+ * Stores a response in the memory and IndexedDB caches.
+ * The memory cache drops expired entries and keeps at most `SEARCH_MEMORY_CACHE_LIMIT` of the newest.
+ * @param {string} key - The normalized query key.
+ * @param {Object} data - The response JSON.
+ */
+async function writeCachedResponse(key, data) {
+    const ttl = (extension_settings.chub?.cacheTtlMinutes ?? defaultSettings.cacheTtlMinutes) * 60 * 1000;
+    if (ttl <= 0) {
+        return;
+    }
+    const entry = { key, timestamp: Date.now(), data };
+    searchMemoryCache.delete(key); // Re-inserting keeps the map in write order, oldest first
+    searchMemoryCache.set(key, entry);
+    for (const [cachedKey, cached] of searchMemoryCache) {
+        if (searchMemoryCache.size > SEARCH_MEMORY_CACHE_LIMIT || entry.timestamp - cached.timestamp >= ttl) {
+            searchMemoryCache.delete(cachedKey);
+        }
+    }
+    await withCacheStore('readwrite', store => store.put(entry));
+}
+
+/**
+ * Empties both search caches.
+ * @returns {Promise<void>} - Resolves once the IndexedDB store is cleared.
+ */
+async function clearSearchCache() {
+    searchMemoryCache.clear();
+    await withCacheStore('readwrite', store => store.clear());
+}
+
+/**
+ * Fetches JSON from the search API through the cache.
+ * A request cancels the previous in-flight request on the same channel, so a slow older search can
+ * never overwrite a newer one. Network errors and 5xx responses are retried with backoff; rate limits
+ * are reported with their own message.
+ * @param {string} url - The full request URL.
+ * @param {string} channel - Requests on the same channel cancel each other ('search', 'prefetch', ...).
+ * @returns {Promise<Object>} - The response JSON.
+ * @throws {Error} - An AbortError if superseded, otherwise an error with a `title` for the toast.
+ */
+async function fetchSearchJson(url, channel = 'search') {
+    const key = normalizeQueryKey(url);
+    // Cancel the previous request first, so even a newer search answered from the cache supersedes it
+    searchAbortControllers.get(channel)?.abort();
+    const controller = new AbortController();
+    searchAbortControllers.set(channel, controller);
+
+    try {
+        const cached = await readCachedResponse(key);
+        controller.signal.throwIfAborted(); // A newer request started while the cache was read
+        if (cached) {
+            console.debug('CHub search cache hit', key);
+            return cached;
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            let response;
+            try {
+                response = await fetch(url, { signal: controller.signal });
+            } catch (error) {
+                // Aborts are final; anything else is a network failure worth retrying
+                if (error.name === 'AbortError' || attempt >= SEARCH_RETRY_ATTEMPTS - 1) {
+                    throw error;
+                }
+                console.warn(`CHub request failed, retrying (${attempt + 1}/${SEARCH_RETRY_ATTEMPTS - 1})`, error);
+                await delay(SEARCH_RETRY_BASE_DELAY * 2 ** attempt);
+                continue;
+            }
+
+            if (response.status === 429) {
+                const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+                const error = new Error(`CHub is rate limiting searches. ${!isNaN(retryAfter) ? `Try again in ${retryAfter} seconds.` : 'Wait a moment before searching again.'}`);
+                error.title = "Rate Limited";
+                throw error;
+            }
+
+            if (response.status >= 500 && attempt < SEARCH_RETRY_ATTEMPTS - 1) {
+                console.warn(`CHub returned ${response.status}, retrying (${attempt + 1}/${SEARCH_RETRY_ATTEMPTS - 1})`);
+                await delay(SEARCH_RETRY_BASE_DELAY * 2 ** attempt);
+                continue;
+            }
+
+            if (!response.ok) {
+                console.error('CHub API request failed:', response.status, response.statusText);
+                let message = response.statusText;
+                try {
+                    const errorData = await response.json();
+                    console.error('API Error Details:', errorData);
+                    message = errorData.message || message;
+                } catch (e) {
+                    // Not JSON, keep the status text
+                }
+                const error = new Error(`CHub search failed: ${message}`);
+                error.title = "API Error";
+                throw error;
+            }
+
+            const data = await response.json();
+            writeCachedResponse(key, data).catch(error => console.warn('Could not cache the CHub search response', error));
+            return data;
+        }
+    } finally {
+        if (searchAbortControllers.get(channel) === controller) {
+            searchAbortControllers.delete(channel);
+        }
+    }
+}
+
+/**
+ * Fills in every search option that isn't set with the saved settings or a sensible default.
+ * @param {Object} options - The search options object; modified in place.
+ * @returns {Object} - The same options object, for chaining.
+ */
+function applySearchDefaults(options) {
+    // Set defaults from settings if not provided in options
+    options.first = options.first || extension_settings.chub.findCount || 30;
+    options.nsfw = typeof options.nsfw === 'boolean' ? options.nsfw : extension_settings.chub.nsfw;
+    options.nsfl = typeof options.nsfl === 'boolean' ? options.nsfl : extension_settings.chub.nsfl;
+    // Add other boolean defaults from settings
+    options.nsfw_only = typeof options.nsfw_only === 'boolean' ? options.nsfw_only : extension_settings.chub.nsfw_only;
+    options.require_images = typeof options.require_images === 'boolean' ? options.require_images : extension_settings.chub.require_images;
+    options.require_example_dialogues = typeof options.require_example_dialogues === 'boolean' ? options.require_example_dialogues : extension_settings.chub.require_example_dialogues;
+    options.require_alternate_greetings = typeof options.require_alternate_greetings === 'boolean' ? options.require_alternate_greetings : extension_settings.chub.require_alternate_greetings;
+    options.require_custom_prompt = typeof options.require_custom_prompt === 'boolean' ? options.require_custom_prompt : extension_settings.chub.require_custom_prompt;
+    options.require_expressions = typeof options.require_expressions === 'boolean' ? options.require_expressions : extension_settings.chub.require_expressions;
+    options.require_lore = typeof options.require_lore === 'boolean' ? options.require_lore : extension_settings.chub.require_lore;
+    options.require_lore_embedded = typeof options.require_lore_embedded === 'boolean' ? options.require_lore_embedded : extension_settings.chub.require_lore_embedded;
+    options.require_lore_linked = typeof options.require_lore_linked === 'boolean' ? options.require_lore_linked : extension_settings.chub.require_lore_linked;
+    options.inclusive_or = typeof options.inclusive_or === 'boolean' ? options.inclusive_or : extension_settings.chub.inclusive_or;
+    options.recommended_verified = typeof options.recommended_verified === 'boolean' ? options.recommended_verified : extension_settings.chub.recommended_verified;
+
+    // Sensible defaults for non-setting options if not provided
+    options.sort = options.sort || extension_settings.chub.sort || 'download_count';
+    options.page = options.page || 1;
+    options.asc = typeof options.asc === 'boolean' ? options.asc : Boolean(extension_settings.chub.asc); // Default sort descending
+    options.include_forks = typeof options.include_forks === 'boolean' ? options.include_forks : true; // Default include forks
+    options.namespace = options.namespace || 'characters';
+
+    return options;
+}
+
+/**
+ * Fetches characters based on specified search criteria.
+ * @param {Object} options - The search options object (using internal names like searchTerm, includeTags, etc.).
+ * @param {number} [generation] - The `searchGeneration` of the search; results are dropped if a newer one started meanwhile.
+ * @returns {Promise<Array|null>} - Resolves with an array of character objects that match the search criteria,
+ * or null if the request was cancelled by a newer search.
+ */
+async function fetchCharactersBySearch(options, generation = searchGeneration) {
+    applySearchDefaults(options);
+
+    try {
+        const { characters, total } = await requestSearchPage(options);
+        if (generation !== searchGeneration) {
+            console.debug('CHub search superseded by a newer one');
+            return null;
+        }
+        chubCharacters = characters;
+        chubCharactersOptions = { ...options };
+        lastSearchTotal = total;
+        return chubCharacters;
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            console.debug('CHub search superseded by a newer one');
+            return null;
+        }
+        console.error("Error during CHub search fetch:", error);
+        toastr.error(escapeHtml(error.message || "An error occurred while searching CHub."), escapeHtml(error.title || "Fetch Error"));
+        return []; // Return empty array on failure
+    }
+}
+
+/**
+ * Requests one page of search results from the active catalog provider.
+ * Unlike `fetchCharactersBySearch` this has no side effects, so it can be used to prefetch pages in the background.
+ * @param {Object} options - The complete search options, including `page`.
+ * @param {string} channel - The request channel, see `fetchSearchJson`. A new request cancels the previous one on the same channel.
+ * @returns {Promise<{characters: Array, total: number|null}>} - The mapped characters and the total result count if the API reports one.
+ * @throws {Error} - If the request fails; the error may carry a `title` for the toast.
+ */
+async function requestSearchPage(options, channel = 'search') {
+    return getActiveProvider().search(options, channel);
+}
+
+/**
+ * Searches Chub. Implements `CatalogProvider.search` for the Chub provider.
+ * @param {Object} options - The complete search options, including `page`.
+ * @param {string} channel - The request channel, see `fetchSearchJson`.
+ * @returns {Promise<{characters: Array, total: number|null}>} - The mapped characters and the total result count if the API reports one.
+ */
+async function searchChub(options, channel) {
+    // Construct the URL with the search parameters
+    const queryString = buildQueryString(options);
+    const url = `${extension_settings.chub?.chubSearchEndpoint || API_ENDPOINT_SEARCH}?${queryString}`;
+    console.log("Fetching CHub:", url); // Log the final URL for debugging
+
+    const searchData = await fetchSearchJson(url, channel);
+    return mapSearchResponse(searchData, options);
+}
+
+/**
+ * Maps a Chub search response to result objects.
+ * @param {Object} searchData - The response JSON.
+ * @param {Object} options - The options the search ran with.
+ * @returns {{characters: Array, total: number|null}} - The mapped results and the total result count if reported.
+ */
+function mapSearchResponse(searchData, options) {
+    // The API structure might be { data: { nodes: [...] } } or just { nodes: [...] }
+    // Adapt based on actual API response. Assuming /api/characters/search returns { nodes: [...] }
+    const nodes = searchData.nodes || (searchData.data ? searchData.data.nodes : null) || [];
+    const total = searchData.count ?? searchData.data?.count ?? null;
+
+    // Fetching individual character *avatars* seems inefficient here.
+    // The search result 'nodes' should contain basic info including avatar URL.
+    // Let's adapt to use the info directly from the search result.
+    // Check the actual API response structure for avatar URLs. Common names: 'avatar_url', 'avatar', 'image_url'
+
+    const characters = nodes.map(node => {
+        // Determine the avatar URL - *adjust based on actual API response field names*
+        // Common possibilities: node.avatar_url, node.avatar, node.definition.avatar etc.
+        // Using a placeholder - **YOU MUST CHECK THE ACTUAL API RESPONSE**
+        let imageUrl = node.avatar_url || node.avatar || `${extensionFolderPath}placeholder.png`; // Provide a fallback placeholder
+         // Ensure the URL is absolute if it's relative
+         if (imageUrl && !imageUrl.startsWith('http') && !imageUrl.startsWith('blob:')) {
+             // Assuming it might be relative to chub.ai if not absolute
+             // imageUrl = `https://chub.ai${imageUrl}`; // Uncomment or adjust if needed
+         }
+
+
+        return {
+            // Use the image URL directly from search results if available
+            url: imageUrl,
+            description: node.tagline || "No description.",
+            name: node.name || "Unnamed Character",
+            fullPath: node.fullPath, // Essential for download links
+            tags: node.topics || [], // Assuming 'topics' holds the tags
+            author: node.fullPath ? node.fullPath.split('/')[0] : "Unknown Author", // Extract author from fullPath
+            type: options.namespace === 'lorebooks' ? 'lorebook' : 'character',
+            nsfw: Boolean(node.nsfw_image || node.nsfw) || (node.topics || []).some(tag => String(tag).toLowerCase() === 'nsfw'),
+            createdAt: Date.parse(node.createdAt || node.created_at) || null,
+            lastActivityAt: Date.parse(node.lastActivityAt || node.last_activity_at) || null,
+            // Whatever counters the API reports; null when missing
+            stats: {
+                downloads: node.downloadCount ?? node.download_count ?? null,
+                stars: node.starCount ?? null,
+                chats: node.nChats ?? null,
+                messages: node.nMessages ?? null,
+                favorites: node.n_favorites ?? null,
+                rating: node.rating ?? null,
+                ratingCount: node.ratingCount ?? null,
+                tokens: node.nTokens ?? null,
+                forks: node.forksCount ?? null,
+            },
+            // What the card contains, as far as the search node reports it
+            features: options.namespace === 'lorebooks' ? {} : {
+                fork: Boolean(node.forkedFromId ?? node.forked_from_id),
+                lore: Boolean(node.hasLorebook || node.related_lorebooks?.length),
+                greetings: Boolean((node.nGreetings ?? node.n_greetings) > 0),
+                expressions: Boolean(node.hasExpressionPack),
+            },
+        };
+    });
+
+    return { characters, total: typeof total === 'number' ? total : null };
+}
+
+
+/**
+ * Searches for characters based on the provided options and manages the UI during the search.
+ * @param {Object} options - The search criteria/options for fetching characters.
+ * @param {number} generation - The `searchGeneration` this search belongs to.
+ * @returns {Promise<Array|null>} - Resolves with an array of character objects that match the search criteria, or null if cancelled.
+ */
+async function searchCharacters(options, generation) {
+    if (characterListContainer && !document.body.contains(characterListContainer)) {
+        console.log('Character list container is not in the DOM, removing reference');
+        characterListContainer = null;
+    }
+    // grey out the character-list-popup while we're searching
+    if (characterListContainer) {
+        characterListContainer.classList.add('searching');
+    }
+    console.log('Searching for characters with options:', options);
+    const characters = await fetchCharactersBySearch(options, generation);
+    // A cancelled search leaves the list greyed out for the newer one that replaced it
+    if (characterListContainer && characters !== null) {
+        characterListContainer.classList.remove('searching');
+    }
+
+    return characters;
+}
+
+/**
+ * Opens the character search popup UI.
+ */
+function openSearchPopup() {
+    displayCharactersInListViewPopup();
+}
+
+/**
+ * Executes a character search based on provided options and updates the view with the results.
+ * @param {Object} options - The search criteria/options for fetching characters.
+ * @returns {Promise<void>} - Resolves once the character list has been updated in the view.
+ */
+async function executeCharacterSearch(options) {
+    // Clear the previous search result first
+    closeCharacterDetails();
+    chubCharacters = [];
+    chubCharactersOptions = null;
+    lastSearchTotal = null;
+    followedFeedSince = null;
+    infiniteScrollState = null; // Stops appending pages of the previous search
+    updateCharacterListInView(chubCharacters);  // Resetting character list before fetching new characters
+
+    const generation = ++searchGeneration;
+    let characters  = await searchCharacters(options, generation);
+    if (characters === null || generation !== searchGeneration) {
+        return; // Superseded by a newer search, which will render its own results
+    }
+
+    console.log(`Found ${characters.length} characters. Updating character list.`);
+    infiniteScrollState = extension_settings.chub.infiniteScroll ? createInfiniteScrollState(options, characters) : null;
+    renderSearchResults(characters);
+    recordSearchHistory(options, characters);
+    onResultListScroll();
+}
+
+/**
+ * Creates the infinite scroll state for a search whose first page just loaded, and prefetches the next page.
+ * @param {Object} options - The options of the search.
+ * @param {Array} characters - The characters of the loaded page.
+ * @returns {Object} - The new infinite scroll state.
+ */
+function createInfiniteScrollState(options, characters) {
+    const state = {
+        options: { ...options },
+        nextPage: (options.page || 1) + 1,
+        loading: false,
+        exhausted: characters.length < options.first || (lastSearchTotal !== null && characters.length >= lastSearchTotal),
+        prefetch: null,
+    };
+    prefetchNextPage(state);
+    return state;
+}
+
+/**
+ * Starts loading `state.nextPage` in the background so it is ready when the user scrolls down.
+ * @param {Object} state - The infinite scroll state.
+ */
+function prefetchNextPage(state) {
+    if (state.exhausted || state.prefetch?.page === state.nextPage) {
+        return;
+    }
+    const page = state.nextPage;
+    const promise = requestSearchPage({ ...state.options, page }, 'prefetch');
+    promise.catch(error => console.warn(`Prefetching page ${page} failed`, error)); // Surfaced when the page is actually needed
+    state.prefetch = { page, promise };
+}
+
+/**
+ * Appends the next page of results to the list (infinite scroll mode), skipping characters already shown.
+ * @returns {Promise<void>} - Resolves once the page is appended or loading failed.
+ */
+async function loadNextPage() {
+    const state = infiniteScrollState;
+    if (!state || state.loading || state.exhausted) {
+        return;
+    }
+    state.loading = true;
+    characterListContainer?.classList.add('chub-loading-more');
+
+    const page = state.nextPage;
+    let loaded = false;
+    try {
+        const promise = state.prefetch?.page === page ? state.prefetch.promise : requestSearchPage({ ...state.options, page }, 'prefetch');
+        const { characters, total } = await promise;
+        if (state !== infiniteScrollState) {
+            return; // A new search started while this page was loading
+        }
+
+        const knownPaths = new Set(chubCharacters.map(character => character.fullPath));
+        const newCharacters = characters.filter(character => !knownPaths.has(character.fullPath));
+        const firstIndex = chubCharacters.length;
+        chubCharacters.push(...newCharacters);
+        if (total !== null) {
+            lastSearchTotal = total;
+        }
+
+        state.nextPage = page + 1;
+        state.exhausted = characters.length < state.options.first || (lastSearchTotal !== null && chubCharacters.length >= lastSearchTotal);
+        if (document.getElementById('pageNumber')) {
+            document.getElementById('pageNumber').value = page;
+        }
+
+        if (characterListContainer && localSort) {
+            // The new page has to be sorted in among the loaded results
+            const scrollTop = characterListContainer.scrollTop;
+            updateCharacterListInView(chubCharacters);
+            characterListContainer.scrollTop = scrollTop;
+        } else if (characterListContainer) {
+            const visibleNew = newCharacters.filter(character => !isHidden(character));
+            characterListContainer.insertAdjacentHTML('beforeend', visibleNew.map((character, i) => generateResultListItem(character, firstIndex + i)).join(''));
+        }
+        updateResultsStatus(chubCharacters);
+        syncSelectionControls();
+        prefetchNextPage(state);
+        loaded = true;
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            return;
+        }
+        console.error(`Loading page ${page} failed`, error);
+        state.prefetch = null; // Retry from scratch on the next scroll
+        toastr.error(escapeHtml(error.message || `Could not load page ${page}.`), escapeHtml(error.title || "Fetch Error"));
+    } finally {
+        state.loading = false;
+        characterListContainer?.classList.remove('chub-loading-more');
+    }
+    // Keep going if the appended results don't fill the list yet (e.g. most were blocked)
+    if (loaded) {
+        onResultListScroll();
+    }
+}
+
+/**
+ * Loads the next page when the result list is scrolled close to its bottom.
+ */
+function onResultListScroll() {
+    if (!infiniteScrollState || !characterListContainer) {
+        return;
+    }
+    const { scrollTop, clientHeight, scrollHeight } = characterListContainer;
+    if (scrollTop + clientHeight >= scrollHeight - 300) {
+        loadNextPage();
+    }
+}
+
+/**
+ * Renders a result list, or the "no characters found" message if it is empty.
+ * @param {Array} characters - The characters to show.
+ */
+function renderSearchResults(characters) {
+    if (characters && characters.length > 0) {
+        updateCharacterListInView(characters);
+    } else {
+        console.log('No characters found');
+        if (characterListContainer) { // Ensure container exists before modifying
+             characterListContainer.innerHTML = '<div class="chub-no-characters-found">No characters found for the specified criteria.</div>';
+        }
+        syncSelectionControls();
+    }
+}
+
+/**
+ * Adds a finished search to the session history, dropping any "forward" entries.
+ * @param {Object} options - The options the search ran with.
+ * @param {Array} characters - The characters it returned.
+ */
+function recordSearchHistory(options, characters) {
+    searchHistory = searchHistory.slice(0, searchHistoryIndex + 1);
+    searchHistory.push({ options: { ...options }, characters: characters, scrollTop: 0, total: lastSearchTotal, infiniteScroll: infiniteScrollState });
+    if (searchHistory.length > SEARCH_HISTORY_LIMIT) {
+        searchHistory.shift();
+    }
+    searchHistoryIndex = searchHistory.length - 1;
+    syncHistoryButtons();
+}
+
+/**
+ * Steps through the search history without refetching.
+ * @param {number} step - -1 to go back, 1 to go forward.
+ */
+function navigateSearchHistory(step) {
+    const target = searchHistory[searchHistoryIndex + step];
+    if (!target) {
+        return;
+    }
+    // Remember where we were on the page we're leaving
+    if (searchHistory[searchHistoryIndex] && characterListContainer) {
+        searchHistory[searchHistoryIndex].scrollTop = characterListContainer.scrollTop;
+    }
+    searchHistoryIndex += step;
+
+    closeCharacterDetails();
+    searchGeneration++; // A search still in flight must not replace the restored results
+    followedFeedSince = null;
+    chubCharacters = target.characters;
+    chubCharactersOptions = { ...target.options };
+    lastSearchTotal = target.total;
+    infiniteScrollState = target.infiniteScroll;
+    writeSearchForm(target.options);
+    renderSearchResults(chubCharacters);
+    if (characterListContainer) {
+        characterListContainer.scrollTop = target.scrollTop;
+    }
+    popupState = { options: { ...target.options }, scrollTop: target.scrollTop };
+    syncHistoryButtons();
+}
+
+/**
+ * Enables or disables the back/forward buttons based on the current history position.
+ */
+function syncHistoryButtons() {
+    const backButton = document.getElementById('chubHistoryBackButton');
+    const forwardButton = document.getElementById('chubHistoryForwardButton');
+    backButton?.classList.toggle('disabled', searchHistoryIndex <= 0);
+    forwardButton?.classList.toggle('disabled', searchHistoryIndex >= searchHistory.length - 1);
+}
+
+/**
+ * Generates the statistics line of a result. Numbers the catalog didn't report are left out.
+ * @param {Object} item - A search result.
+ * @returns {string} - The HTML string, empty if there is nothing to show.
+ */
+function generateResultStatsHtml(item) {
+    const stats = item.stats || {};
+    const features = item.features || {};
+    const count = (value) => COMPACT_NUMBER_FORMAT.format(value);
+    const ratingCount = stats.ratingCount ?? null;
+    const date = (timestamp) => new Date(timestamp).toLocaleDateString();
+    const entries = [
+        [stats.downloads, 'fa-download', `${stats.downloads} downloads`, count],
+        [stats.chats, 'fa-comments', `${stats.chats} chats`, count],
+        [stats.stars, 'fa-star', `${stats.stars} stars`, count],
+        [stats.rating, 'fa-thumbs-up', `Rated ${stats.rating}${ratingCount !== null ? ` by ${ratingCount} users` : ''}`, (rating) => `${Number(rating).toFixed(1)}${ratingCount !== null ? ` (${count(ratingCount)})` : ''}`],
+        [stats.tokens, 'fa-coins', `${stats.tokens} tokens`, count],
+        [item.createdAt, 'fa-calendar-plus', `Created ${item.createdAt ? new Date(item.createdAt).toLocaleString() : ''}`, date],
+        [item.lastActivityAt, 'fa-clock-rotate-left', `Last activity ${item.lastActivityAt ? new Date(item.lastActivityAt).toLocaleString() : ''}`, date],
+        [stats.forks || null, 'fa-code-fork', `Forked ${stats.forks} times`, count],
+    ]
+        .filter(([value]) => value !== null && value !== undefined)
+        .map(([value, icon, title, format]) => `<span class="chub-stat" title="${escapeHtml(title)}"><i class="fas ${icon}"></i> ${escapeHtml(format(value))}</span>`);
+
+    const badges = [
+        [features.fork, 'fa-code-branch', 'Fork of another character', 'Fork'],
+        [features.lore, 'fa-book', 'Has a lorebook', 'Lore'],
+        [features.greetings, 'fa-message', 'Has alternate greetings', 'Greetings'],
+        [features.expressions, 'fa-face-smile', 'Has an expression pack', 'Expressions'],
+    ]
+        .filter(([present]) => present)
+        .map(([, icon, title, label]) => `<span class="chub-stat chub-feature-badge" title="${title}"><i class="fas ${icon}"></i> ${label}</span>`);
+
+    return entries.length || badges.length ? `<div class="chub-stats">${[...entries, ...badges].join('')}</div>` : '';
+}
+
+/**
+ * Orders results by the client-side sort the user picked (see `LOCAL_SORTS`), without a new request.
+ * @param {Array} characters - The results, in catalog order.
+ * @returns {Array} - A sorted copy, or the same array if no client-side sort is active.
+ */
+function sortLoadedResults(characters) {
+    const sort = LOCAL_SORTS[localSort];
+    if (!sort) {
+        return characters;
+    }
+    const present = (value) => value !== null && value !== undefined && value !== '';
+    return [...characters].sort((a, b) => {
+        const left = sort.value(a);
+        const right = sort.value(b);
+        if (!present(left) || !present(right)) {
+            return Number(!present(left)) - Number(!present(right));
+        }
+        if (typeof left === 'string') {
+            return sort.ascending ? left.localeCompare(right) : right.localeCompare(left);
+        }
+        return sort.ascending ? left - right : right - left;
+    });
+}
+
+/**
+ * Generates the list item for a search result of any content type.
+ * @param {Object} item - A character or lorebook from the search results.
+ * @param {number} index - The index of the item in the list.
+ * @returns {string} - Returns an HTML string representation of the list item.
+ */
+function generateResultListItem(item, index) {
+    return item.type === 'lorebook' ? generateLorebookListItem(item, index) : generateCharacterListItem(item, index);
+}
+
+/**
+ * Generates the HTML structure for a lorebook list item.
+ * @param {Object} lorebook - The lorebook data object (same shape as a character result, with `type: 'lorebook'`).
+ * @param {number} index - The index of the lorebook in the list.
+ * @returns {string} - Returns an HTML string representation of the lorebook list item.
+ */
+function generateLorebookListItem(lorebook, index) {
+    const isImported = isAlreadyImported(lorebook);
+    const provider = getActiveProvider();
+    // Everything below comes from the catalog, so it is escaped; see escapeHtml, safeUrl and renderMarkdown
+    const fullPath = escapeHtml(lorebook.fullPath);
+    const name = escapeHtml(lorebook.name);
+    const author = escapeHtml(lorebook.author);
+
+    return `
+        <div class="character-list-item chub-character-item chub-lorebook-item ${isImported ? 'chub-imported' : ''}" data-index="${index}" data-path="${fullPath}" data-type="lorebook"
+            role="option" tabindex="-1" aria-selected="${selectedCharacters.has(lorebook.fullPath)}" aria-label="Lorebook ${name} by ${author}">
+            <input type="checkbox" class="chub-select-checkbox" data-path="${fullPath}" title="Select for batch import" ${selectedCharacters.has(lorebook.fullPath) ? 'checked' : ''}>
+            <div class="chub-lorebook-icon"><i class="fas fa-book-atlas"></i></div>
+            <div class="info chub-info">
+                <a href="${escapeHtml(safeUrl(provider.getPageUrl(lorebook.fullPath, 'lorebook')))}" target="_blank" rel="noopener noreferrer" title="View on ${escapeHtml(provider.name)}: ${name}"><div class="name chub-name">${name}</div></a>
+                <a class="chub-author-link" data-author="${author}" href="${escapeHtml(safeUrl(provider.getAuthorUrl(lorebook.author)))}" target="_blank" rel="noopener noreferrer" title="Show everything by ${author} (Ctrl+click opens ${escapeHtml(provider.name)})">
+                 <span class="author chub-author">by ${author}</span>
+                </a>
+                ${isImported ? '<span class="chub-imported-badge" title="A World Info file with this name already exists"><i class="fas fa-check"></i> Already imported</span>' : ''}
+                <div class="description chub-description">${renderMarkdown(lorebook.description)}</div>
+                <div class="tags chub-tags">${generateResultTagsHtml(lorebook.tags)}</div>
+                ${generateResultStatsHtml(lorebook)}
+            </div>
+            <div data-author="${author}" class="menu_button fa-solid fa-user-slash faSmallFontSquareFix chub-hide-author-btn" role="button" aria-label="Hide this author" title="Hide this author"></div>
+            ${generateBookmarkButtonHtml(lorebook.fullPath)}
+            <div data-path="${fullPath}" data-type="lorebook" class="menu_button download-btn fa-solid fa-cloud-arrow-down faSmallFontSquareFix chub-download-btn" role="button" aria-label="Import as World Info" title="Import as World Info (i)"></div>
+        </div>
+    `;
+}
+
+/**
+ * Generates the HTML structure for a character list item.
+ * @param {Object} character - The character data object with properties like url, name, description, tags, and author.
+ * @param {number} index - The index of the character in the list.
+ * @returns {string} - Returns an HTML string representation of the character list item.
+ */
+function generateCharacterListItem(character, index) {
+    const placeholderImg = `${extensionFolderPath}placeholder.png`; // Define placeholder path
+    // Use a placeholder if the image URL is invalid or missing
+    const imageUrl = safeUrl(character.url, placeholderImg);
+
+    const isImported = findImportedCharacter(character) !== -1;
+    const blurred = character.nsfw && extension_settings.chub.blurNsfw;
+    const provider = getActiveProvider();
+    // Everything below comes from the catalog, so it is escaped; see escapeHtml, safeUrl and renderMarkdown
+    const fullPath = escapeHtml(character.fullPath);
+    const name = escapeHtml(character.name || "Default Name");
+    const author = escapeHtml(character.author);
+
+    return `
+        <div class="character-list-item chub-character-item ${isImported ? 'chub-imported' : ''} ${blurred ? 'chub-blur-nsfw' : ''}" data-index="${index}" data-path="${fullPath}" title="Click for details"
+            role="option" tabindex="-1" aria-selected="${selectedCharacters.has(character.fullPath)}" aria-label="${name} by ${author}">
+            <input type="checkbox" class="chub-select-checkbox" data-path="${fullPath}" title="Select for batch import" ${selectedCharacters.has(character.fullPath) ? 'checked' : ''}>
+            <img class="thumbnail chub-thumbnail" src="${escapeHtml(imageUrl)}" alt="" loading="lazy" decoding="async" onerror="this.onerror=null; this.src='${placeholderImg}';">
+            <div class="info chub-info">
+                <a href="${escapeHtml(safeUrl(provider.getPageUrl(character.fullPath, 'character')))}" target="_blank" rel="noopener noreferrer" title="View on ${escapeHtml(provider.name)}: ${name}"><div class="name chub-name">${name}</div></a>
+                <a class="chub-author-link" data-author="${author}" href="${escapeHtml(safeUrl(provider.getAuthorUrl(character.author)))}" target="_blank" rel="noopener noreferrer" title="Show everything by ${author} (Ctrl+click opens ${escapeHtml(provider.name)})">
+                 <span class="author chub-author">by ${author}</span>
+                </a>
+                ${isImported ? '<span class="chub-imported-badge" title="This character is already in your library"><i class="fas fa-check"></i> Already imported</span>' : ''}
+                <div class="description chub-description">${renderMarkdown(character.description)}</div>
+                <div class="tags chub-tags">${generateResultTagsHtml(character.tags)}</div>
+                ${generateResultStatsHtml(character)}
+            </div>
+            <div data-author="${author}" class="menu_button fa-solid fa-user-slash faSmallFontSquareFix chub-hide-author-btn" role="button" aria-label="Hide this author" title="Hide this author"></div>
+            ${generateBookmarkButtonHtml(character.fullPath)}
+            <div data-path="${fullPath}" class="menu_button download-btn fa-solid fa-cloud-arrow-down faSmallFontSquareFix chub-download-btn" role="button" aria-label="Import Character" title="Import Character (i, Shift+click for options)"></div>
+        </div>
+    `;
+}
+
+/**
+ * Generates the (at most 8) tag chips of a result.
+ * @param {string[]} tags - The result's tags.
+ * @returns {string} - The escaped HTML of the chips.
+ */
+function generateResultTagsHtml(tags) {
+    return (tags || []).slice(0, 8).map(tag => `<span class="tag chub-tag" data-tag="${escapeHtml(tag)}" title="Click to filter by this tag, Shift+click to exclude it">${escapeHtml(tag)}<i class="fa-solid fa-xmark chub-hide-tag-btn" title="Hide this tag"></i></span>`).join('');
+}
+
+/**
+ * Checks a URL from the catalog before it goes into an `href` or `src`: only web and blob URLs
+ * (and paths relative to SillyTavern) pass, so `javascript:` and the like can't sneak in.
+ * @param {string} url - The URL to check.
+ * @param {string} [fallback=''] - Returned for missing or unsafe URLs.
+ * @returns {string} - The URL, or the fallback.
+ */
+function safeUrl(url, fallback = '') {
+    if (!url || typeof url !== 'string') {
+        return fallback;
+    }
+    try {
+        return SAFE_URL_PROTOCOLS.includes(new URL(url, window.location.href).protocol) ? url : fallback;
+    } catch (error) {
+        return fallback;
+    }
+}
+
+/**
+ * Renders Markdown from the catalog (e.g. taglines, creator notes) to sanitized HTML.
+ * @param {string} text - The Markdown source; plain text passes through unchanged apart from escaping.
+ * @returns {string} - HTML that is safe to insert.
+ */
+function renderMarkdown(text) {
+    if (!text) {
+        return '';
+    }
+    if (!markdownConverter) {
+        markdownConverter = new showdown.Converter({ simpleLineBreaks: true, strikethrough: true, openLinksInNewWindow: true });
+    }
+    return DOMPurify.sanitize(markdownConverter.makeHtml(String(text)), {
+        FORBID_TAGS: ['style', 'form', 'input', 'button'],
+        FORBID_ATTR: ['style'],
+        ADD_ATTR: ['target'],
+    });
+}
+
+/**
+ * Escapes a string for safe interpolation into HTML.
+ * @param {*} text - The value to escape. Non-strings are converted first; null/undefined become an empty string.
+ * @returns {string} - The escaped string.
+ */
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Reads the embedded character card JSON from a Tavern PNG ('chara' or 'ccv3' tEXt chunk).
+ * @param {ArrayBuffer} buffer - The PNG file contents.
+ * @returns {Object|null} - The parsed card, or null if no card chunk was found.
+ */
+function extractCardFromPng(buffer) {
+    const view = new DataView(buffer);
+    const latin1 = new TextDecoder('latin1');
+    let offset = 8; // Skip the PNG signature
+
+    while (offset + 8 <= view.byteLength) {
+        const length = view.getUint32(offset);
+        const type = latin1.decode(new Uint8Array(buffer, offset + 4, 4));
+
+        if (type === 'tEXt') {
+            const chunk = new Uint8Array(buffer, offset + 8, length);
+            const separator = chunk.indexOf(0);
+            const keyword = latin1.decode(chunk.subarray(0, separator));
+            if (keyword === 'chara' || keyword === 'ccv3') {
+                const bytes = Uint8Array.from(atob(latin1.decode(chunk.subarray(separator + 1))), c => c.charCodeAt(0));
+                return JSON.parse(new TextDecoder().decode(bytes));
+            }
+        }
+        if (type === 'IEND') {
+            break;
+        }
+        offset += 12 + length; // length + type + data + CRC
+    }
+
+    return null;
+}
+
+/**
+ * Normalizes lorebook entries from either a Chub definition or a V2 card into { name, keys, content }.
+ * @param {Object|null} book - A lorebook with an `entries` array or object.
+ * @returns {Array} - The normalized entries.
+ */
+function normalizeLorebookEntries(book) {
+    if (!book || !book.entries) {
+        return [];
+    }
+    return Object.values(book.entries).map(entry => ({
+        name: entry.name || entry.comment || '',
+        keys: entry.keys || entry.key || [],
+        content: entry.content || '',
+    }));
+}
+
+/**
+ * Extracts the lorebooks a character links to.
+ * Entries are paths, numeric ids or objects with either; ids are resolved by `resolveLinkedLorebooks`.
+ * @param {Array|undefined} related - The character's related lorebooks as reported by Chub.
+ * @returns {Array<string|number>} - Lorebook paths (author/name) and ids.
+ */
+function normalizeLinkedLorebooks(related) {
+    if (!Array.isArray(related)) {
+        return [];
+    }
+    return related
+        .map(entry => typeof entry === 'object' && entry !== null ? (entry.fullPath || entry.full_path || entry.path || entry.id) : entry)
+        .map(entry => typeof entry === 'string' && /^\d+$/.test(entry) ? Number(entry) : entry)
+        .filter(entry => (typeof entry === 'string' && entry.includes('/')) || Number.isInteger(entry));
+}
+
+/**
+ * Replaces the lorebook ids among a character's linked lorebooks with their paths.
+ * Ids the provider can't resolve are dropped (and logged), so the result only holds importable paths.
+ * @param {Array<string|number>} linked - Paths and ids from `normalizeLinkedLorebooks`.
+ * @param {CatalogProvider} provider - The provider the character comes from.
+ * @returns {Promise<string[]>} - Lorebook paths without duplicates.
+ */
+async function resolveLinkedLorebooks(linked, provider) {
+    const paths = await Promise.all(linked.map(async (entry) => {
+        if (typeof entry === 'string') {
+            return entry;
+        }
+        try {
+            return await provider.getLorebookPath(entry);
+        } catch (error) {
+            console.warn(`Could not resolve linked lorebook ${entry}`, error);
+            return null;
+        }
+    }));
+    return [...new Set(paths.filter(path => typeof path === 'string' && path.includes('/')))];
+}
+
+/**
+ * Fetches the full definition of a character for the detail view from the active catalog provider.
+ * @param {string} fullPath - The unique path of the character (author/name).
+ * @param {Object} [params]
+ * @param {boolean} [params.refresh=false] - Bypass the details cache (e.g. when checking for updates).
+ * @returns {Promise<Object>} - Resolves with the normalized details. Rejects if the provider can't load them.
+ */
+async function fetchCharacterDetails(fullPath, { refresh = false } = {}) {
+    const provider = getActiveProvider();
+    const cacheKey = `${provider.id}:${fullPath}`;
+    if (!refresh && characterDetailsCache.has(cacheKey)) {
+        return characterDetailsCache.get(cacheKey);
+    }
+
+    const listed = chubCharacters.find(c => c.fullPath === fullPath) || getActiveCollection().find(b => b.fullPath === fullPath) || {};
+    const details = await provider.getDetails(fullPath, listed);
+    details.linkedLorebooks = await resolveLinkedLorebooks(details.linkedLorebooks, provider);
+    characterDetailsCache.set(cacheKey, details);
+    return details;
+}
+
+/**
+ * Normalizes a Chub character node (as returned by the character endpoint) into detail view fields.
+ * @param {string} fullPath - The unique path of the character.
+ * @param {Object} node - The character node.
+ * @param {Object} listed - The search result for the character, used for fields the node lacks.
+ * @returns {Object} - The normalized details.
+ */
+function normalizeChubNode(fullPath, node, listed) {
+    // Chub stores the card description in definition.personality and the card personality in tavern_personality
+    const definition = node.definition || {};
+    return {
+        fullPath: fullPath,
+        id: node.id ?? null, // Chub's project id, needed for the gallery
+        hasGallery: Boolean(node.hasGallery),
+        name: node.name || definition.name || listed.name,
+        author: fullPath.split('/')[0],
+        avatarUrl: node.avatar_url || listed.url,
+        tagline: node.tagline || listed.description || '',
+        tags: node.topics || listed.tags || [],
+        description: definition.personality || '',
+        personality: definition.tavern_personality || '',
+        scenario: definition.scenario || '',
+        firstMessage: definition.first_message || '',
+        alternateGreetings: definition.alternate_greetings || [],
+        exampleDialogues: definition.example_dialogs || '',
+        lorebookEntries: normalizeLorebookEntries(definition.embedded_lorebook),
+        creatorNotes: node.description || definition.description || '',
+        tokenCount: node.nTokens ?? node.n_tokens ?? null,
+        version: definition.character_version || '',
+        linkedLorebooks: normalizeLinkedLorebooks(node.related_lorebooks ?? definition.extensions?.chub?.related_lorebooks),
+        expressions: normalizeExpressions(node.expressions),
+        // Only a real modification date: lastActivityAt also moves when someone chats with or rates the card
+        updatedAt: Date.parse(node.updatedAt || node.updated_at || definition.updated_at) || null,
+    };
+}
+
+/**
+ * Reads the expression pack of a Chub character node.
+ * @param {Object} expressions - `node.expressions`: `{ expressions: { label: url } }`, or the label map itself.
+ * @returns {Object<string, string>} - Lowercase emotion label -> image URL; empty if the card has no pack.
+ */
+function normalizeExpressions(expressions) {
+    const map = expressions?.expressions ?? expressions;
+    if (!map || typeof map !== 'object' || Array.isArray(map)) {
+        return {};
+    }
+    return Object.fromEntries(Object.entries(map)
+        .filter(([label, url]) => label && typeof url === 'string' && safeUrl(url, null) !== null)
+        .map(([label, url]) => [label.toLowerCase(), url]));
+}
+
+/**
+ * Loads the gallery of a Chub character. Implements `CatalogProvider.getGallery` for the Chub provider.
+ * @param {Object} details - The character's details; the gallery is looked up by their project `id`.
+ * @returns {Promise<Array<{url: string, description: string}>>} - The images, empty if the character has none.
+ */
+async function fetchChubGallery(details) {
+    if (details.id === null || details.id === undefined) {
+        return [];
+    }
+    const nsfw = Boolean(extension_settings.chub.nsfw);
+    const response = await fetch(`${getChubApiUrl(API_PATH_GALLERY)}/${details.id}?nsfw=${nsfw}&page=1&limit=100`);
+    if (!response.ok) {
+        throw new Error(`Could not load the gallery: ${response.status} ${response.statusText}`);
+    }
+    const data = await response.json();
+    const nodes = data.nodes || data.data?.nodes || [];
+    return nodes
+        .map(node => ({ url: node.primary_image_path || node.imageUrl || '', description: node.description || '' }))
+        .filter(image => safeUrl(image.url, null) !== null);
+}
+
+/**
+ * Looks up the path of a Chub project by its numeric id. Implements `CatalogProvider.getLorebookPath` for the Chub provider.
+ * @param {number} id - The project id.
+ * @returns {Promise<string|null>} - The project's path, or null if Chub doesn't report one.
+ */
+async function fetchChubProjectPath(id) {
+    const response = await fetch(`${getChubApiUrl(API_PATH_PROJECT)}/${id}`);
+    if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+    }
+    const data = await response.json();
+    const node = data.node || data;
+    return node.fullPath || node.full_path || null;
+}
+
+/**
+ * Loads character details from Chub. Implements `CatalogProvider.getDetails` for the Chub provider.
+ * Uses the Chub character endpoint and falls back to reading the card out of the Tavern PNG
+ * returned by the download endpoint.
+ * @param {string} fullPath - The unique path of the character (author/name).
+ * @param {Object} listed - The search result for the character, if loaded.
+ * @returns {Promise<Object>} - Resolves with the normalized details. Rejects if neither endpoint works.
+ */
+async function fetchChubDetails(fullPath, listed) {
+    try {
+        const response = await fetch(`${getChubApiUrl(API_PATH_CHARACTER)}/${fullPath}?full=true`);
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+        const data = await response.json();
+        return normalizeChubNode(fullPath, data.node || data, listed);
+    } catch (error) {
+        console.warn(`Character endpoint failed for ${fullPath}, reading the card from the download endpoint instead.`, error);
+    }
+
+    const response = await fetch(getChubApiUrl(API_PATH_DOWNLOAD), {
+        method: "POST",
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ fullPath: fullPath, format: "tavern", version: "main" }),
+    });
+    if (!response.ok) {
+        throw new Error(`Could not load details for ${fullPath}: ${response.status} ${response.statusText}`);
+    }
+    const card = extractCardFromPng(await response.arrayBuffer());
+    if (!card) {
+        throw new Error(`No character card found in the download for ${fullPath}`);
+    }
+    const data = card.data || card; // V2/V3 cards nest fields under data, V1 cards don't
+    return {
+        fullPath: fullPath,
+        name: data.name || listed.name,
+        author: fullPath.split('/')[0],
+        avatarUrl: listed.url,
+        tagline: listed.description || '',
+        tags: data.tags || listed.tags || [],
+        description: data.description || '',
+        personality: data.personality || '',
+        scenario: data.scenario || '',
+        firstMessage: data.first_mes || '',
+        alternateGreetings: data.alternate_greetings || [],
+        exampleDialogues: data.mes_example || '',
+        lorebookEntries: normalizeLorebookEntries(data.character_book),
+        creatorNotes: data.creator_notes || '',
+        tokenCount: null,
+        version: data.character_version || '',
+        linkedLorebooks: normalizeLinkedLorebooks(data.extensions?.chub?.related_lorebooks),
+        expressions: {}, // Only the character endpoint knows the expression pack
+        updatedAt: null, // PNG cards carry no modification date
+    };
+}
+
+/**
+ * Generates the HTML for the character detail view. All card fields are escaped.
+ * @param {Object} details - Normalized details from `fetchCharacterDetails`.
+ * @returns {string} - The HTML string for the detail view.
+ */
+function generateCharacterDetailsHtml(details) {
+    const placeholderImg = `${extensionFolderPath}placeholder.png`;
+    // Rough estimate (~4 characters per token) when Chub didn't report a count
+    const tokenCount = details.tokenCount ?? `~${Math.round([details.description, details.personality, details.scenario, details.firstMessage, details.exampleDialogues].join('').length / 4)}`;
+
+    const textSection = (title, text, open = false, markdown = false) => text ? `
+        <details class="chub-details chub-detail-section" ${open ? 'open' : ''}>
+            <summary class="chub-summary">${title}</summary>
+            <div class="chub-detail-text ${markdown ? 'chub-detail-markdown' : ''}">${markdown ? renderMarkdown(text) : escapeHtml(text)}</div>
+        </details>` : '';
+
+    const greetings = details.alternateGreetings.length ? `
+        <details class="chub-details chub-detail-section">
+            <summary class="chub-summary">Alternate Greetings (${details.alternateGreetings.length})</summary>
+            ${details.alternateGreetings.map((greeting, i) => `<div class="chub-detail-text chub-detail-greeting"><b>#${i + 1}</b>\n${escapeHtml(greeting)}</div>`).join('')}
+        </details>` : '';
+
+    const lorebook = details.lorebookEntries.length ? `
+        <details class="chub-details chub-detail-section">
+            <summary class="chub-summary">Embedded Lorebook (${details.lorebookEntries.length} entries)</summary>
+            ${details.lorebookEntries.map(entry => `
+                <div class="chub-detail-lore-entry">
+                    <b>${escapeHtml(entry.name || 'Unnamed entry')}</b>
+                    <span class="chub-detail-lore-keys">${escapeHtml([].concat(entry.keys).join(', '))}</span>
+                    <div class="chub-detail-text">${escapeHtml(entry.content)}</div>
+                </div>`).join('')}
+        </details>` : '';
+
+    const linkedLorebooks = details.linkedLorebooks.length ? `
+        <details class="chub-details chub-detail-section">
+            <summary class="chub-summary">Linked Lorebooks (${details.linkedLorebooks.length})</summary>
+            ${details.linkedLorebooks.map(path => `
+                <div class="chub-detail-lore-entry flex-container flex-no-wrap flex-align-center">
+                    <a class="flex1" href="${escapeHtml(safeUrl(getActiveProvider().getPageUrl(path, 'lorebook')))}" target="_blank" rel="noopener noreferrer">${escapeHtml(path)}</a>
+                    <div class="menu_button chub-detail-lorebook-import" data-path="${escapeHtml(path)}" title="Import as World Info"><i class="fas fa-cloud-arrow-down"></i></div>
+                </div>`).join('')}
+        </details>` : '';
+
+    const expressionLabels = Object.keys(details.expressions || {}).sort((a, b) => a.localeCompare(b));
+    const expressions = expressionLabels.length ? `
+        <details class="chub-details chub-detail-section">
+            <summary class="chub-summary">Expressions (${expressionLabels.length})</summary>
+            <div class="chub-detail-expressions-actions">
+                <div class="menu_button" id="chubDetailInstallExpressionsButton" role="button" tabindex="0" title="Install these sprites for the Expressions extension (import the character first)"><i class="fas fa-face-smile"></i> Install expressions</div>
+            </div>
+            <div class="chub-detail-expressions">
+                ${expressionLabels.map(label => `
+                <figure class="chub-detail-expression">
+                    <img src="${escapeHtml(details.expressions[label])}" alt="${escapeHtml(label)}" loading="lazy" decoding="async">
+                    <figcaption>${escapeHtml(label)}</figcaption>
+                </figure>`).join('')}
+            </div>
+        </details>` : '';
+
+    return `
+        <div class="chub-detail-header">
+            <img class="chub-detail-avatar" src="${escapeHtml(safeUrl(details.avatarUrl, placeholderImg))}" alt="" title="Show the images" onerror="this.onerror=null; this.src='${placeholderImg}';">
+            <div class="chub-detail-summary">
+                <div class="chub-name">${escapeHtml(details.name)}</div>
+                <span class="chub-author">by ${escapeHtml(details.author)}</span>
+                <div class="chub-description">${renderMarkdown(details.tagline)}</div>
+                <div class="chub-tags">${details.tags.map(tag => `<span class="tag chub-tag">${escapeHtml(tag)}</span>`).join('')}</div>
+                <span class="chub-detail-tokens">${escapeHtml(tokenCount)} tokens</span>
+            </div>
+            <div class="chub-detail-actions">
+                <div class="menu_button" id="chubDetailBackButton" title="Back to results"><i class="fas fa-arrow-left"></i> Back</div>
+                <div class="menu_button" id="chubDetailImportButton" data-path="${escapeHtml(details.fullPath)}" title="Import Character (Shift+click for options)"><i class="fas fa-cloud-arrow-down"></i> Import</div>
+                <div class="menu_button" id="chubDetailGalleryButton" role="button" tabindex="0" title="Show the avatar${details.hasGallery ? ' and gallery' : ''}"><i class="fas fa-images"></i> ${details.hasGallery ? 'Gallery' : 'Images'}</div>
+                <a class="menu_button" href="${escapeHtml(safeUrl(getActiveProvider().getPageUrl(details.fullPath, 'character')))}" target="_blank" rel="noopener noreferrer" title="View on ${escapeHtml(getActiveProvider().name)}"><i class="fas fa-arrow-up-right-from-square"></i> Open</a>
+            </div>
+        </div>
+        ${textSection('Description', details.description, true)}
+        ${textSection('Personality', details.personality)}
+        ${textSection('Scenario', details.scenario)}
+        ${textSection('First Message', details.firstMessage, true)}
+        ${greetings}
+        ${textSection('Example Dialogues', details.exampleDialogues)}
+        ${lorebook}
+        ${linkedLorebooks}
+        ${expressions}
+        ${textSection('Creator Notes', details.creatorNotes, false, true)}
+    `;
+}
+
+/**
+ * Opens the image viewer on top of the popup. Its listeners are removed again by `closeLightbox`.
+ * @param {Array<{url: string, description: string}>} images - The images to page through.
+ * @param {Object} [params]
+ * @param {string} [params.title] - Shown in the toolbar, e.g. the character name.
+ * @param {number} [params.index] - The image to start with.
+ * @returns {Object} - The viewer state; more images can be added with `addLightboxImages`.
+ */
+function openLightbox(images, { title = '', index = 0 } = {}) {
+    closeLightbox();
+    // Inside the popup's dialog, so it isn't covered by it or made inert
+    const container = document.getElementById('list-and-search-wrapper')?.closest('dialog') || document.body;
+    const element = document.createElement('div');
+    element.className = 'chub-lightbox';
+    element.setAttribute('role', 'dialog');
+    element.setAttribute('aria-modal', 'true');
+    element.setAttribute('aria-label', title ? `Images of ${title}` : 'Image viewer');
+    element.innerHTML = `
+        <div class="chub-lightbox-toolbar">
+            <span class="chub-lightbox-title">${escapeHtml(title)}</span>
+            <span class="chub-lightbox-counter" aria-live="polite"></span>
+            <button type="button" class="menu_button chub-lightbox-zoom-out" title="Zoom out (-)" aria-label="Zoom out"><i class="fas fa-magnifying-glass-minus"></i></button>
+            <button type="button" class="menu_button chub-lightbox-zoom-in" title="Zoom in (+)" aria-label="Zoom in"><i class="fas fa-magnifying-glass-plus"></i></button>
+            <button type="button" class="menu_button chub-lightbox-download" title="Download this image (d)" aria-label="Download this image"><i class="fas fa-download"></i></button>
+            <button type="button" class="menu_button chub-lightbox-close" title="Close (Esc)" aria-label="Close"><i class="fas fa-xmark"></i></button>
+        </div>
+        <div class="chub-lightbox-stage">
+            <button type="button" class="menu_button chub-lightbox-prev" title="Previous image (Left arrow)" aria-label="Previous image"><i class="fas fa-chevron-left"></i></button>
+            <img class="chub-lightbox-image" alt="" draggable="false">
+            <button type="button" class="menu_button chub-lightbox-next" title="Next image (Right arrow)" aria-label="Next image"><i class="fas fa-chevron-right"></i></button>
+        </div>
+        <div class="chub-lightbox-caption"></div>
+        <div class="chub-lightbox-status" hidden></div>`;
+    container.appendChild(element);
+
+    const controller = new AbortController();
+    const { signal } = controller;
+    lightbox = { element, images: [], index: 0, scale: 1, x: 0, y: 0, controller, returnFocus: document.activeElement };
+    addLightboxImages(images);
+
+    element.addEventListener('click', function (event) {
+        if (event.target.closest('.chub-lightbox-close') || event.target === element || event.target.classList.contains('chub-lightbox-stage')) {
+            closeLightbox();
+        } else if (event.target.closest('.chub-lightbox-prev')) {
+            showLightboxImage(lightbox.index - 1);
+        } else if (event.target.closest('.chub-lightbox-next')) {
+            showLightboxImage(lightbox.index + 1);
+        } else if (event.target.closest('.chub-lightbox-zoom-in')) {
+            zoomLightbox(LIGHTBOX_ZOOM_STEP);
+        } else if (event.target.closest('.chub-lightbox-zoom-out')) {
+            zoomLightbox(1 / LIGHTBOX_ZOOM_STEP);
+        } else if (event.target.closest('.chub-lightbox-download')) {
+            downloadLightboxImage();
+        }
+    }, { signal });
+
+    // Captured on the document so the popup's and the result list's shortcuts don't see these keys
+    document.addEventListener('keydown', function (event) {
+        const actions = {
+            Escape: () => closeLightbox(),
+            ArrowLeft: () => showLightboxImage(lightbox.index - 1),
+            ArrowRight: () => showLightboxImage(lightbox.index + 1),
+            Home: () => showLightboxImage(0),
+            End: () => showLightboxImage(lightbox.images.length - 1),
+            '+': () => zoomLightbox(LIGHTBOX_ZOOM_STEP),
+            '=': () => zoomLightbox(LIGHTBOX_ZOOM_STEP),
+            '-': () => zoomLightbox(1 / LIGHTBOX_ZOOM_STEP),
+            '0': () => zoomLightbox(1 / lightbox.scale),
+            d: () => downloadLightboxImage(),
+        };
+        if (event.ctrlKey || event.altKey || event.metaKey) {
+            return;
+        }
+        if ((event.key === 'Enter' || event.key === ' ') && element.contains(event.target) && event.target.tagName === 'BUTTON') {
+            event.target.click();
+        } else if (actions[event.key]) {
+            actions[event.key]();
+        } else if (event.key !== 'Tab') {
+            return;
+        } else {
+            // Keep Tab within the viewer
+            const buttons = [...element.querySelectorAll('button:not([hidden])')];
+            const next = buttons.indexOf(document.activeElement) + (event.shiftKey ? -1 : 1);
+            buttons[(next + buttons.length) % buttons.length]?.focus();
+        }
+        event.preventDefault();
+        event.stopImmediatePropagation();
+    }, { capture: true, signal });
+
+    const stage = element.querySelector('.chub-lightbox-stage');
+    stage.addEventListener('wheel', function (event) {
+        event.preventDefault();
+        zoomLightbox(event.deltaY < 0 ? LIGHTBOX_ZOOM_STEP : 1 / LIGHTBOX_ZOOM_STEP, event.clientX, event.clientY);
+    }, { passive: false, signal });
+
+    // One pointer pans a zoomed image, two pinch to zoom
+    const image = element.querySelector('.chub-lightbox-image');
+    const pointers = new Map();
+    let pinch = null;
+    image.addEventListener('pointerdown', function (event) {
+        image.setPointerCapture(event.pointerId);
+        pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        if (pointers.size === 2) {
+            const [a, b] = [...pointers.values()];
+            pinch = { distance: Math.hypot(a.x - b.x, a.y - b.y), scale: lightbox.scale };
+        }
+    }, { signal });
+    image.addEventListener('pointermove', function (event) {
+        const previous = pointers.get(event.pointerId);
+        if (!previous) {
+            return;
+        }
+        pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        if (pinch && pointers.size === 2) {
+            const [a, b] = [...pointers.values()];
+            const scale = pinch.scale * Math.hypot(a.x - b.x, a.y - b.y) / (pinch.distance || 1);
+            zoomLightbox(scale / lightbox.scale, (a.x + b.x) / 2, (a.y + b.y) / 2);
+        } else if (pointers.size === 1 && lightbox.scale > 1) {
+            lightbox.x += event.clientX - previous.x;
+            lightbox.y += event.clientY - previous.y;
+            applyLightboxTransform();
+        }
+    }, { signal });
+    const releasePointer = (event) => {
+        pointers.delete(event.pointerId);
+        if (pointers.size < 2) {
+            pinch = null;
+        }
+    };
+    image.addEventListener('pointerup', releasePointer, { signal });
+    image.addEventListener('pointercancel', releasePointer, { signal });
+    image.addEventListener('dblclick', function (event) {
+        zoomLightbox(lightbox.scale > 1 ? 1 / lightbox.scale : 2.5 / lightbox.scale, event.clientX, event.clientY);
+    }, { signal });
+    image.addEventListener('error', function () {
+        setLightboxStatus('This image could not be loaded.');
+    }, { signal });
+
+    showLightboxImage(index);
+    element.querySelector('.chub-lightbox-close').focus();
+    return lightbox;
+}
+
+/**
+ * Appends images to the open viewer, skipping ones it already shows.
+ * @param {Array<{url: string, description: string}>} images - The images to add.
+ */
+function addLightboxImages(images) {
+    if (!lightbox) {
+        return;
+    }
+    for (const image of images) {
+        if (!lightbox.images.some(existing => existing.url === image.url)) {
+            lightbox.images.push(image);
+        }
+    }
+    const single = lightbox.images.length < 2;
+    lightbox.element.querySelector('.chub-lightbox-prev').hidden = single;
+    lightbox.element.querySelector('.chub-lightbox-next').hidden = single;
+    lightbox.element.querySelector('.chub-lightbox-counter').textContent = `${lightbox.index + 1} / ${lightbox.images.length}`;
+}
+
+/**
+ * Shows an image of the open viewer at its normal size. The index wraps around at both ends.
+ * @param {number} index - The image to show.
+ */
+function showLightboxImage(index) {
+    if (!lightbox || lightbox.images.length === 0) {
+        return;
+    }
+    lightbox.index = (index + lightbox.images.length) % lightbox.images.length;
+    const image = lightbox.images[lightbox.index];
+    lightbox.element.querySelector('.chub-lightbox-image').src = safeUrl(image.url, `${extensionFolderPath}placeholder.png`);
+    lightbox.element.querySelector('.chub-lightbox-caption').textContent = image.description || '';
+    lightbox.element.querySelector('.chub-lightbox-counter').textContent = `${lightbox.index + 1} / ${lightbox.images.length}`;
+    lightbox.scale = 1;
+    lightbox.x = 0;
+    lightbox.y = 0;
+    applyLightboxTransform();
+}
+
+/**
+ * Zooms the open viewer, keeping the point under the cursor (or the center) in place.
+ * @param {number} factor - Multiplies the current zoom; clamped to 1-`LIGHTBOX_MAX_ZOOM` overall.
+ * @param {number} [clientX] - The zoom origin in viewport coordinates.
+ * @param {number} [clientY] - The zoom origin in viewport coordinates.
+ */
+function zoomLightbox(factor, clientX, clientY) {
+    if (!lightbox) {
+        return;
+    }
+    const scale = clamp(lightbox.scale * factor, 1, LIGHTBOX_MAX_ZOOM);
+    if (scale === 1) {
+        lightbox.x = 0;
+        lightbox.y = 0;
+    } else if (clientX !== undefined) {
+        const stage = lightbox.element.querySelector('.chub-lightbox-stage').getBoundingClientRect();
+        const offsetX = clientX - (stage.left + stage.width / 2);
+        const offsetY = clientY - (stage.top + stage.height / 2);
+        lightbox.x = offsetX - (offsetX - lightbox.x) * scale / lightbox.scale;
+        lightbox.y = offsetY - (offsetY - lightbox.y) * scale / lightbox.scale;
+    } else {
+        lightbox.x *= scale / lightbox.scale;
+        lightbox.y *= scale / lightbox.scale;
+    }
+    lightbox.scale = scale;
+    applyLightboxTransform();
+}
+
+/**
+ * Applies the zoom and pan of the open viewer to its image.
+ */
+function applyLightboxTransform() {
+    const image = lightbox.element.querySelector('.chub-lightbox-image');
+    image.style.transform = `translate(${lightbox.x}px, ${lightbox.y}px) scale(${lightbox.scale})`;
+    image.classList.toggle('chub-lightbox-zoomed', lightbox.scale > 1);
+}
+
+/**
+ * Shows a status message (loading, errors) below the image of the open viewer.
+ * @param {string} message - The message; empty hides the status line.
+ */
+function setLightboxStatus(message) {
+    const status = lightbox?.element.querySelector('.chub-lightbox-status');
+    if (status) {
+        status.textContent = message;
+        status.hidden = !message;
+    }
+}
+
+/**
+ * Downloads the image the viewer shows. Opens it in a new tab if it can't be fetched (e.g. no CORS).
+ * @returns {Promise<void>} - Resolves once the download started.
+ */
+async function downloadLightboxImage() {
+    const url = lightbox?.images[lightbox.index]?.url;
+    if (!url) {
+        return;
+    }
+    const fileName = decodeURIComponent(new URL(url, window.location.href).pathname.split('/').pop() || 'image');
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+        const blob = await response.blob();
+        download(blob, fileName, blob.type);
+    } catch (error) {
+        console.warn('Could not download the image, opening it instead', error);
+        window.open(safeUrl(url), '_blank', 'noopener');
+    }
+}
+
+/**
+ * Closes the image viewer and removes its listeners.
+ * @returns {boolean} - True if a viewer was open.
+ */
+function closeLightbox() {
+    if (!lightbox) {
+        return false;
+    }
+    const { element, controller, returnFocus } = lightbox;
+    lightbox = null;
+    controller.abort();
+    element.remove();
+    if (returnFocus?.isConnected) {
+        returnFocus.focus();
+    }
+    return true;
+}
+
+/**
+ * Opens the image viewer with a character's avatar and loads its gallery into it.
+ * @param {string} fullPath - The unique path of the character.
+ * @returns {Promise<void>} - Resolves once the gallery is loaded (or failed to load).
+ */
+async function openCharacterGallery(fullPath) {
+    const provider = getActiveProvider();
+    const listed = chubCharacters.find(c => c.fullPath === fullPath) || getActiveCollection().find(b => b.fullPath === fullPath) || {};
+    const viewer = openLightbox([{ url: safeUrl(provider.getAvatarUrl(fullPath), listed.url), description: '' }], { title: listed.name || fullPath });
+    setLightboxStatus('Loading gallery...');
+    try {
+        const details = await fetchCharacterDetails(fullPath);
+        const images = await provider.getGallery(fullPath, details);
+        // The viewer may have been closed or reopened for another character meanwhile
+        if (lightbox === viewer) {
+            addLightboxImages(images);
+            setLightboxStatus(images.length === 0 ? 'No gallery images.' : '');
+        }
+    } catch (error) {
+        console.warn(`Could not load the gallery of ${fullPath}`, error);
+        if (lightbox === viewer) {
+            setLightboxStatus('Could not load the gallery.');
+        }
+    }
+}
+
+/**
+ * Shows the detail view for a character in place of the result list and loads its full card.
+ * @param {string} fullPath - The unique path of the character.
+ * @returns {Promise<void>} - Resolves once the details are rendered (or the error is shown).
+ */
+async function openCharacterDetails(fullPath) {
+    const wrapper = document.getElementById('list-and-search-wrapper');
+    const detailView = document.getElementById('chubDetailView');
+    if (!wrapper || !detailView) {
+        return;
+    }
+
+    wrapper.classList.add('chub-showing-details');
+    detailView.hidden = false;
+    detailView.dataset.path = fullPath;
+    detailView.innerHTML = '<div class="chub-no-characters-found"><i class="fas fa-spinner fa-spin"></i> Loading character...</div>';
+
+    try {
+        const details = await fetchCharacterDetails(fullPath);
+        // Ignore the result if the user navigated to another character meanwhile
+        if (detailView.dataset.path === fullPath) {
+            detailView.innerHTML = generateCharacterDetailsHtml(details);
+            detailView.scrollTop = 0;
+            detailView.focus(); // Screen readers start reading at the details; Esc goes back
+        }
+    } catch (error) {
+        console.error('Failed to load character details', error);
+        if (detailView.dataset.path === fullPath) {
+            detailView.innerHTML = `
+                <div class="chub-no-characters-found">Could not load this character's details.</div>
+                <div class="menu_button" id="chubDetailBackButton"><i class="fas fa-arrow-left"></i> Back</div>`;
+        }
+    }
+}
+
+/**
+ * Hides the detail view and shows the result list again.
+ */
+function closeCharacterDetails() {
+    const wrapper = document.getElementById('list-and-search-wrapper');
+    const detailView = document.getElementById('chubDetailView');
+    wrapper?.classList.remove('chub-showing-details');
+    if (detailView) {
+        detailView.hidden = true;
+        detailView.innerHTML = '';
+        delete detailView.dataset.path;
+    }
+    // Return the focus to the result the details were opened from
+    const item = characterListContainer && [...characterListContainer.querySelectorAll('.chub-character-item')].find(item => item.dataset.path === focusedResultPath);
+    item?.focus();
+}
+
+/**
+ * Runs an async function over items with at most `limit` calls in flight.
+ * @param {Array} items - The items to process.
+ * @param {number} limit - Maximum parallel calls.
+ * @param {function(*, number): Promise<*>} fn - Called with each item and its index.
+ * @returns {Promise<Array>} - The results in item order.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+/**
+ * Loads the full card of a library character (the character list may only hold a shallow copy).
+ * @param {string} avatar - The avatar file name of the character.
+ * @returns {Promise<Object>} - The character object with its complete `data`.
+ */
+async function fetchLocalCharacter(avatar) {
+    const response = await fetch('/api/characters/get', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ avatar_url: avatar }),
+    });
+    if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+    }
+    return response.json();
+}
+
+/**
+ * Describes what differs between a library character and its current version on Chub.
+ * @param {Object} local - The full local character.
+ * @param {Object} remote - Normalized details from `fetchCharacterDetails`.
+ * @returns {string[]} - Human readable changes; empty if nothing differs.
+ */
+function summarizeCharacterChanges(local, remote) {
+    const data = local.data || local;
+    const normalize = (text) => String(text ?? '').replace(/\r\n/g, '\n').trim();
+    const changes = [];
+
+    if (remote.version && normalize(data.character_version) !== normalize(remote.version)) {
+        changes.push(`version ${data.character_version || '(none)'} -> ${remote.version}`);
+    }
+    const fields = [
+        ['description', data.description, remote.description],
+        ['personality', data.personality, remote.personality],
+        ['scenario', data.scenario, remote.scenario],
+        ['first message', data.first_mes, remote.firstMessage],
+        ['example dialogues', data.mes_example, remote.exampleDialogues],
+    ];
+    const changedFields = fields.filter(([, before, after]) => normalize(before) !== normalize(after)).map(([name]) => name);
+    if (changedFields.length) {
+        changes.push(`changed: ${changedFields.join(', ')}`);
+    }
+    const localGreetings = (data.alternate_greetings || []).length;
+    if (localGreetings !== remote.alternateGreetings.length) {
+        changes.push(`greetings ${localGreetings} -> ${remote.alternateGreetings.length}`);
+    }
+    const localLore = Object.keys(data.character_book?.entries || {}).length;
+    if (localLore !== remote.lorebookEntries.length) {
+        changes.push(`lorebook entries ${localLore} -> ${remote.lorebookEntries.length}`);
+    }
+    return changes;
+}
+
+/**
+ * Compares every library character that came from Chub with its current version on Chub.
+ * @param {function(number, number): void} [onProgress] - Called with (checked, total) after each character.
+ * @returns {Promise<Array>} - `{ avatar, name, fullPath, changes, dateKnown }` for every character with a newer version,
+ *     or with differences that can't be dated (`dateKnown` false).
+ */
+async function findCharacterUpdates(onProgress = () => {}) {
+    const candidates = characters
+        .filter(character => getChubPath(character))
+        .map(character => ({ avatar: character.avatar, name: character.name, fullPath: getChubPath(character) }));
+    let checked = 0;
+
+    const results = await mapWithConcurrency(candidates, IMPORT_CONCURRENCY, async (candidate) => {
+        try {
+            const [local, remote] = await Promise.all([
+                fetchLocalCharacter(candidate.avatar),
+                fetchCharacterDetails(candidate.fullPath, { refresh: true }),
+            ]);
+            const changes = summarizeCharacterChanges(local, remote);
+            if (changes.length === 0) {
+                return null;
+            }
+            // Differences only count if Chub changed after our last sync; otherwise they are local edits we must not overwrite.
+            // Without dates on both sides they are listed, but not selected for updating.
+            const syncedAt = local.data?.extensions?.chub_search?.synced_at ?? local.date_added ?? null;
+            if (!remote.updatedAt || !syncedAt) {
+                return { ...candidate, changes, dateKnown: false };
+            }
+            return remote.updatedAt > syncedAt ? { ...candidate, changes, dateKnown: true } : null;
+        } catch (error) {
+            console.warn(`Could not check ${candidate.fullPath} for updates`, error);
+            return null;
+        } finally {
+            onProgress(++checked, candidates.length);
+        }
+    });
+
+    return results.filter(Boolean);
+}
+
+/**
+ * Checks the library for characters with newer versions on Chub and lists them in the popup's side panel,
+ * where selected ones can be updated in place.
+ * @returns {Promise<void>} - Resolves once the list is shown.
+ */
+async function checkForCharacterUpdates() {
+    if (!document.getElementById('chubDetailView')) {
+        await displayCharactersInListViewPopup();
+    }
+    const wrapper = document.getElementById('list-and-search-wrapper');
+    const panel = document.getElementById('chubDetailView');
+    if (!wrapper || !panel) {
+        return;
+    }
+
+    if (!characters.some(character => getChubPath(character))) {
+        toastr.info("None of your characters were imported from Chub.");
+        return;
+    }
+
+    wrapper.classList.add('chub-showing-details');
+    panel.hidden = false;
+    panel.dataset.path = 'updates';
+    panel.innerHTML = '<div class="chub-no-characters-found"><i class="fas fa-spinner fa-spin"></i> <span id="chubUpdateProgress">Checking for updates...</span></div>';
+
+    const updates = await findCharacterUpdates((checked, total) => {
+        const progress = document.getElementById('chubUpdateProgress');
+        if (progress) {
+            progress.textContent = `Checking for updates... ${checked}/${total}`;
+        }
+    });
+    if (panel.dataset.path !== 'updates') {
+        return; // The panel was closed or reused meanwhile
+    }
+    panel.innerHTML = generateCharacterUpdatesHtml(updates);
+}
+
+/**
+ * Generates the HTML for the list of available character updates.
+ * @param {Array} updates - Results of `findCharacterUpdates`.
+ * @returns {string} - The HTML string for the side panel.
+ */
+function generateCharacterUpdatesHtml(updates) {
+    const header = `
+        <div class="chub-detail-header chub-updates-header">
+            <div class="chub-detail-summary">
+                <div class="chub-name">Updates from Chub</div>
+                <span class="chub-author">${updates.length} character${updates.length === 1 ? '' : 's'} with changes. Updating keeps the character's chats.</span>
+            </div>
+            <div class="chub-detail-actions">
+                <div class="menu_button" id="chubDetailBackButton" title="Back to results"><i class="fas fa-arrow-left"></i> Back</div>
+                ${updates.length ? '<div class="menu_button" id="chubUpdateSelectedButton" title="Update the selected characters"><i class="fas fa-rotate"></i> Update selected</div>' : ''}
+            </div>
+        </div>`;
+
+    if (updates.length === 0) {
+        return header + '<div class="chub-no-characters-found">All your Chub characters are up to date.</div>';
+    }
+
+    return header + updates.map(update => `
+        <label class="chub-update-item" data-avatar="${escapeHtml(update.avatar)}" data-path="${escapeHtml(update.fullPath)}">
+            <input type="checkbox" class="chub-update-checkbox" ${update.dateKnown ? 'checked' : ''}>
+            <span class="chub-update-info">
+                <b>${escapeHtml(update.name)}</b> <span class="chub-author">${escapeHtml(update.fullPath)}</span>
+                ${update.dateKnown ? '' : '<span class="chub-update-date-unknown" title="Chub reports no modification date, so these may be your own edits">date unknown</span>'}
+                <span class="chub-update-changes">${escapeHtml(update.changes.join('; '))}</span>
+            </span>
+            <span class="chub-update-status"></span>
+        </label>`).join('');
+}
+
+/**
+ * Replaces the checked characters in the updates panel with their current Chub version.
+ * @returns {Promise<void>} - Resolves once every selected character was processed.
+ */
+async function updateSelectedCharacters() {
+    const items = [...document.querySelectorAll('.chub-update-item')].filter(item => item.querySelector('.chub-update-checkbox')?.checked);
+    if (items.length === 0) {
+        toastr.info("Select some characters to update first.");
+        return;
+    }
+
+    let updated = 0;
+    // One at a time: each replace reloads the whole character list
+    for (const item of items) {
+        const status = item.querySelector('.chub-update-status');
+        status.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
+        try {
+            const { file } = await getActiveProvider().download(item.dataset.path, 'character');
+            const importedAt = characters.find(character => character.avatar === item.dataset.avatar)?.data?.extensions?.chub_search?.imported_at;
+            await replaceCharacterWithFile(file, item.dataset.avatar);
+            await recordChubSync(item.dataset.path, { importedAt });
+            status.innerHTML = '<i class="fas fa-check"></i>';
+            item.querySelector('.chub-update-checkbox').checked = false;
+            updated++;
+        } catch (error) {
+            console.error(`Updating ${item.dataset.path} failed`, error);
+            status.innerHTML = `<i class="fas fa-triangle-exclamation" title="${escapeHtml(error.message)}"></i>`;
+        }
+    }
+
+    const failed = items.length - updated;
+    if (failed > 0) {
+        toastr.warning(`${updated} updated, ${failed} failed.`, 'Chub updates');
+    } else {
+        toastr.success(`${updated} character${updated === 1 ? '' : 's'} updated.`, 'Chub updates');
+    }
+}
+
+// good ol' clamping
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Maps every search option to the popup control that holds it.
+ * `type` decides how the value is read and written: text, number, tags (comma separated), checkbox or select.
+ */
+const SEARCH_FORM_FIELDS = [
+    { key: 'namespace', id: 'chubContentTypeSelect', type: 'select' },
+    { key: 'searchTerm', id: 'characterSearchInput', type: 'text' },
+    { key: 'name_like', id: 'nameLikeInput', type: 'text' },
+    { key: 'username', id: 'chubAuthorInput', type: 'text' },
+    { key: 'includeTags', id: 'includeTags', type: 'tags' },
+    { key: 'excludeTags', id: 'excludeTags', type: 'tags' },
+    { key: 'min_tokens', id: 'minTokensInput', type: 'number' },
+    { key: 'max_tokens', id: 'maxTokensInput', type: 'number' },
+    { key: 'min_tags', id: 'minTagsInput', type: 'number' },
+    { key: 'min_users_chatted', id: 'minUsersChattedInput', type: 'number' },
+    { key: 'max_days_ago', id: 'maxDaysAgoInput', type: 'number' },
+    { key: 'min_ai_rating', id: 'minAiRatingInput', type: 'number' },
+    { key: 'language', id: 'languageInput', type: 'text' },
+    { key: 'nsfw', id: 'nsfwCheckbox', type: 'checkbox' },
+    { key: 'nsfl', id: 'nsflCheckbox', type: 'checkbox' },
+    { key: 'nsfw_only', id: 'nsfwOnlyCheckbox', type: 'checkbox' },
+    { key: 'require_images', id: 'requireImagesCheckbox', type: 'checkbox' },
+    { key: 'require_example_dialogues', id: 'requireExampleDialoguesCheckbox', type: 'checkbox' },
+    { key: 'require_alternate_greetings', id: 'requireAltGreetingsCheckbox', type: 'checkbox' },
+    { key: 'require_custom_prompt', id: 'requireCustomPromptCheckbox', type: 'checkbox' },
+    { key: 'require_expressions', id: 'requireExpressionsCheckbox', type: 'checkbox' },
+    { key: 'require_lore', id: 'requireLoreCheckbox', type: 'checkbox' },
+    { key: 'require_lore_embedded', id: 'requireLoreEmbeddedCheckbox', type: 'checkbox' },
+    { key: 'require_lore_linked', id: 'requireLoreLinkedCheckbox', type: 'checkbox' },
+    { key: 'recommended_verified', id: 'recommendedVerifiedCheckbox', type: 'checkbox' },
+    { key: 'inclusive_or', id: 'inclusiveOrCheckbox', type: 'checkbox' },
+    { key: 'include_forks', id: 'includeForksCheckbox', type: 'checkbox' },
+    { key: 'sort', id: 'sortOrder', type: 'select' },
+    { key: 'asc', id: 'sortAscCheckbox', type: 'checkbox' },
+    { key: 'first', id: 'resultsPerPage', type: 'number' }, // Use 'first' for API
+    { key: 'page', id: 'pageNumber', type: 'number' },
+];
+
+/**
+ * The filters the search box understands (`name:value`), mapped to search option keys. See `parseSearchQuery`.
+ * `tag` and `has` can be negated with a leading "-".
+ */
+const SEARCH_QUERY_FILTERS = {
+    tag: { type: 'tags' },
+    author: { type: 'text', key: 'username' },
+    name: { type: 'text', key: 'name_like' },
+    lang: { type: 'text', key: 'language' },
+    tokens: { type: 'range', min: 'min_tokens', max: 'max_tokens' },
+    days: { type: 'number', key: 'max_days_ago' },
+    chats: { type: 'number', key: 'min_users_chatted' },
+    rating: { type: 'number', key: 'min_ai_rating' },
+    has: { type: 'has' },
+    sort: { type: 'sort', key: 'sort' },
+    order: { type: 'order', key: 'asc' },
+};
+
+// `has:` values -> the requirement they set
+const SEARCH_QUERY_HAS = {
+    lore: 'require_lore',
+    'embedded-lore': 'require_lore_embedded',
+    'linked-lore': 'require_lore_linked',
+    greetings: 'require_alternate_greetings',
+    examples: 'require_example_dialogues',
+    images: 'require_images',
+    expressions: 'require_expressions',
+    prompt: 'require_custom_prompt',
+};
+
+// Short `sort:` names; the API keys of SORT_OPTIONS work as well
+const SEARCH_QUERY_SORTS = {
+    downloads: 'download_count',
+    activity: 'last_activity_at',
+    created: 'created_at',
+    tokens: 'n_tokens',
+    trending: 'trending_downloads',
+    ratings: 'rating_count',
+    newest: 'id',
+};
+
+/**
+ * Returns the value every search option the search box can set has when the query doesn't mention it.
+ * @returns {Object} - Search options for all `SEARCH_QUERY_FILTERS` keys.
+ */
+function getSearchQueryDefaults() {
+    const defaults = applySearchDefaults({});
+    return {
+        includeTags: [],
+        excludeTags: [],
+        username: '',
+        name_like: '',
+        language: '',
+        min_tokens: null,
+        max_tokens: null,
+        max_days_ago: null,
+        min_users_chatted: null,
+        min_ai_rating: null,
+        sort: defaults.sort,
+        asc: defaults.asc,
+        ...Object.fromEntries(Object.values(SEARCH_QUERY_HAS).map(key => [key, defaults[key]])),
+    };
+}
+
+/**
+ * Parses the search box: `name:value` filters (see `SEARCH_QUERY_FILTERS`) and free text.
+ * Values with spaces can be quoted (`tag:"science fiction"`); quoted free text is never read as a filter, and
+ * neither is `name:value` text whose name isn't one of the filters.
+ * @param {string} text - The search box contents, e.g. `elf tag:fantasy -tag:gore tokens:500..2000 has:lore sort:rating`.
+ * @returns {{searchTerm: string, options: Object, errors: string[]}} - The free text, the options the filters set and
+ *     a message for every known filter whose value couldn't be read (those are left out of `options`).
+ */
+function parseSearchQuery(text) {
+    const options = {};
+    const errors = [];
+    const words = [];
+    const unquote = (value) => value.replace(/^"|"$/g, '');
+    const tokenPattern = /(-?)([a-z][a-z_-]*):("[^"]*"?|[^\s"]*)|("[^"]*"?)|(\S+)/gi;
+
+    for (const match of String(text ?? '').matchAll(tokenPattern)) {
+        const [token, negated, name, rawValue, quoted, word] = match;
+        if (quoted || word) {
+            words.push(token);
+            continue;
+        }
+        const filter = SEARCH_QUERY_FILTERS[name.toLowerCase()];
+        const value = unquote(rawValue).trim();
+        if (!filter) {
+            // Not a filter we know: text like `Re:Zero` or a URL is searched for as typed
+            words.push(token);
+            continue;
+        }
+        if (!value) {
+            errors.push(`"${name}:" needs a value`);
+            continue;
+        }
+        if (negated && filter.type !== 'tags' && filter.type !== 'has') {
+            errors.push(`"${name}:" can't be negated`);
+            continue;
+        }
+        switch (filter.type) {
+            case 'tags': {
+                const key = negated ? 'excludeTags' : 'includeTags';
+                options[key] = [...(options[key] || []), ...value.split(',').map(tag => tag.trim()).filter(tag => tag)];
+                break;
+            }
+            case 'text':
+                options[filter.key] = value;
+                break;
+            case 'number':
+                if (!/^\d+$/.test(value)) {
+                    errors.push(`"${name}:" needs a number, not "${value}"`);
+                    break;
+                }
+                options[filter.key] = parseInt(value, 10);
+                break;
+            case 'range': {
+                const range = value.match(/^(\d*)\.\.(\d*)$/) || value.match(/^(\d+)()$/);
+                if (!range || (!range[1] && !range[2])) {
+                    errors.push(`"${name}:" needs a range like 500..2000, 500.. or ..2000`);
+                    break;
+                }
+                options[filter.min] = range[1] ? parseInt(range[1], 10) : null;
+                options[filter.max] = range[2] ? parseInt(range[2], 10) : null;
+                break;
+            }
+            case 'has': {
+                const key = SEARCH_QUERY_HAS[value.toLowerCase()];
+                if (!key) {
+                    errors.push(`Unknown "has:${value}"; use ${Object.keys(SEARCH_QUERY_HAS).join(', ')}`);
+                    break;
+                }
+                options[key] = !negated;
+                break;
+            }
+            case 'sort': {
+                const sort = SEARCH_QUERY_SORTS[value.toLowerCase()] || Object.keys(SORT_OPTIONS).find(key => key === value.toLowerCase());
+                if (!sort) {
+                    errors.push(`Unknown sort "${value}"; use ${[...Object.keys(SEARCH_QUERY_SORTS), 'rating', 'name', 'random'].join(', ')}`);
+                    break;
+                }
+                options.sort = sort;
+                break;
+            }
+            case 'order':
+                if (!['asc', 'desc'].includes(value.toLowerCase())) {
+                    errors.push(`"order:" is asc or desc, not "${value}"`);
+                    break;
+                }
+                options.asc = value.toLowerCase() === 'asc';
+                break;
+        }
+    }
+
+    for (const key of Object.keys(options)) {
+        if (!isFilterSupported(key)) {
+            errors.push(`${getActiveProvider().name} doesn't support the "${key}" filter`);
+            delete options[key];
+        }
+    }
+    return { searchTerm: words.join(' '), options, errors };
+}
+
+/**
+ * Writes search options as search box text: the free text followed by a filter for every option that differs from
+ * its default. `parseSearchQuery` reads it back into the same options.
+ * @param {Object} options - The search options.
+ * @returns {string} - The search box text.
+ */
+function formatSearchQuery(options) {
+    const defaults = getSearchQueryDefaults();
+    const quote = (value) => /[\s",]/.test(value) ? `"${String(value).replace(/"/g, '')}"` : String(value);
+    const parts = options.searchTerm ? [options.searchTerm] : [];
+
+    (options.includeTags || []).forEach(tag => parts.push(`tag:${quote(tag)}`));
+    (options.excludeTags || []).forEach(tag => parts.push(`-tag:${quote(tag)}`));
+    for (const [name, filter] of Object.entries(SEARCH_QUERY_FILTERS)) {
+        if ((filter.type === 'text' || filter.type === 'number') && options[filter.key] !== null && options[filter.key] !== undefined && options[filter.key] !== '') {
+            parts.push(`${name}:${quote(options[filter.key])}`);
+        } else if (filter.type === 'range' && (options[filter.min] || options[filter.max])) {
+            parts.push(`${name}:${options[filter.min] || ''}..${options[filter.max] || ''}`);
+        }
+    }
+    for (const [value, key] of Object.entries(SEARCH_QUERY_HAS)) {
+        if (typeof options[key] === 'boolean' && options[key] !== defaults[key]) {
+            parts.push(`${options[key] ? '' : '-'}has:${value}`);
+        }
+    }
+    if (options.sort && options.sort !== defaults.sort) {
+        parts.push(`sort:${Object.keys(SEARCH_QUERY_SORTS).find(name => SEARCH_QUERY_SORTS[name] === options.sort) || options.sort}`);
+    }
+    if (typeof options.asc === 'boolean' && options.asc !== defaults.asc) {
+        parts.push(`order:${options.asc ? 'asc' : 'desc'}`);
+    }
+    return parts.join(' ');
+}
+
+/**
+ * Shows the parse errors of the search box below it, or hides them.
+ * @param {string[]} errors - The messages from `parseSearchQuery`.
+ */
+function showSearchQueryErrors(errors) {
+    const input = document.getElementById('characterSearchInput');
+    const errorElement = document.getElementById('chubQueryErrors');
+    if (!input || !errorElement) {
+        return;
+    }
+    errorElement.textContent = errors.join('; ');
+    errorElement.hidden = errors.length === 0;
+    input.setAttribute('aria-invalid', String(errors.length > 0));
+}
+
+/**
+ * Reads the filters typed into the search box into the form controls. Filters the query doesn't mention go back to
+ * their defaults, so the box and the controls always agree.
+ * @returns {boolean} - False if the query has errors; they are shown and the controls are left alone.
+ */
+function applySearchQuery() {
+    const input = document.getElementById('characterSearchInput');
+    if (!input) {
+        return true;
+    }
+    const { options, errors } = parseSearchQuery(input.value);
+    showSearchQueryErrors(errors);
+    if (errors.length > 0) {
+        return false;
+    }
+    writeSearchForm({ ...getSearchQueryDefaults(), ...options }, { syncQuery: false });
+    return true;
+}
+
+/**
+ * Rewrites the search box from the form controls, after they were changed directly.
+ */
+function syncSearchQueryInput() {
+    const input = document.getElementById('characterSearchInput');
+    if (input) {
+        input.value = formatSearchQuery(readSearchForm());
+        showSearchQueryErrors([]);
+    }
+}
+
+/**
+ * Disables the search controls the active catalog provider doesn't support, so they can't silently do nothing.
+ */
+function syncProviderControls() {
+    const provider = getActiveProvider();
+    for (const field of SEARCH_FORM_FIELDS) {
+        const element = document.getElementById(field.id);
+        if (!element) {
+            continue;
+        }
+        const supported = isFilterSupported(field.key);
+        element.disabled = !supported;
+        // Tag fields keep their value in a hidden input; their visible entry lives in the same item
+        element.closest('.chub-filter-item')?.querySelectorAll('input').forEach(control => {
+            control.disabled = !supported;
+        });
+        element.closest('.chub-filter-item')?.classList.toggle('chub-unsupported', !supported);
+        if (!supported) {
+            element.title = `Not supported by ${provider.name}`;
+        } else if (element.title.startsWith('Not supported by ')) {
+            element.title = '';
+        }
+    }
+}
+
+/**
+ * Reads the current values of all search controls in the popup.
+ * @returns {Object} - The search options object (internal names, see `buildQueryString`).
+ */
+function readSearchForm() {
+    const options = {};
+    for (const field of SEARCH_FORM_FIELDS) {
+        const element = document.getElementById(field.id);
+        if (!element) {
+            continue;
+        }
+        switch (field.type) {
+            case 'checkbox':
+                options[field.key] = element.checked;
+                break;
+            case 'number':
+                options[field.key] = element.value ? parseInt(element.value, 10) : null; // null if empty or invalid
+                break;
+            case 'tags':
+                options[field.key] = element.value ? element.value.split(',').map(tag => tag.trim()).filter(tag => tag) : [];
+                break;
+            default:
+                options[field.key] = element.value;
+                break;
+        }
+    }
+    // The filters in the search box are mirrored in the other controls; only the free text is the search term
+    if ('searchTerm' in options) {
+        options.searchTerm = parseSearchQuery(options.searchTerm).searchTerm;
+    }
+    return options;
+}
+
+/**
+ * Writes search options back into the popup controls. Keys missing from `options` are left untouched.
+ * @param {Object} options - A (partial) search options object.
+ * @param {Object} [params]
+ * @param {boolean} [params.syncQuery] - Rewrite the search box with the resulting filters, see `syncSearchQueryInput`.
+ */
+function writeSearchForm(options, { syncQuery = true } = {}) {
+    for (const field of SEARCH_FORM_FIELDS) {
+        const element = document.getElementById(field.id);
+        if (!element || !(field.key in options)) {
+            continue;
+        }
+        const value = options[field.key];
+        switch (field.type) {
+            case 'checkbox':
+                element.checked = Boolean(value);
+                break;
+            case 'tags':
+                element.value = Array.isArray(value) ? value.join(', ') : (value ?? '');
+                renderTagChips(field.id);
+                break;
+            default:
+                element.value = value ?? '';
+                break;
+        }
+    }
+    if (syncQuery) {
+        syncSearchQueryInput();
+    }
+}
+
+/**
+ * Loads (once per provider) the tag list used for autocomplete, through the search cache store.
+ * @returns {Promise<Array<{name: string, count: number|null}>>} - The tags, or an empty list if they can't be loaded.
+ */
+function loadTagList() {
+    if (!tagListPromise) {
+        const provider = getActiveProvider();
+        const key = `${TAG_LIST_CACHE_KEY}:${provider.id}`;
+        tagListPromise = (async () => {
+            const stored = await withCacheStore('readonly', store => store.get(key));
+            if (stored && Date.now() - stored.timestamp < TAG_LIST_TTL) {
+                return stored.data;
+            }
+            try {
+                const tags = await provider.getTags();
+                await withCacheStore('readwrite', store => store.put({ key, timestamp: Date.now(), data: tags }));
+                return tags;
+            } catch (error) {
+                console.warn('Tag list could not be loaded, tag autocomplete is unavailable', error);
+                tagListPromise = null; // Try again next time
+                return stored?.data || [];
+            }
+        })();
+    }
+    return tagListPromise;
+}
+
+/**
+ * Reads the tags of a tag input.
+ * @param {string} id - The id of the hidden input holding the comma separated tags.
+ * @returns {string[]} - The tags.
+ */
+function getTagInputValue(id) {
+    const element = document.getElementById(id);
+    return element?.value ? element.value.split(',').map(tag => tag.trim()).filter(tag => tag) : [];
+}
+
+/**
+ * Replaces the tags of a tag input and runs the search, like editing any other search control.
+ * @param {string} id - The id of the hidden input holding the comma separated tags.
+ * @param {string[]} tags - The new tags.
+ */
+function setTagInputValue(id, tags) {
+    const element = document.getElementById(id);
+    if (!element) {
+        return;
+    }
+    element.value = tags.join(', ');
+    renderTagChips(id);
+    element.dispatchEvent(new Event('change', { bubbles: true })); // Bubbles so the search box can mirror the tags
+}
+
+/**
+ * Adds a tag to a tag input unless it is already there. Warns if the catalog doesn't know the tag,
+ * since an unknown tag silently returns no results.
+ * @param {string} id - The id of the hidden input holding the comma separated tags.
+ * @param {string} tag - The tag to add.
+ * @returns {Promise<void>} - Resolves once the tag is added.
+ */
+async function addTagToInput(id, tag) {
+    const name = tag.trim();
+    const tags = getTagInputValue(id);
+    if (!name || tags.some(existing => existing.toLowerCase() === name.toLowerCase())) {
+        return;
+    }
+    setTagInputValue(id, [...tags, name]);
+
+    const tagList = await loadTagList();
+    if (tagList.length > 0 && !tagList.some(known => known.name.toLowerCase() === name.toLowerCase())) {
+        toastr.warning(`"${escapeHtml(name)}" is not a known tag, so it will probably match nothing.`, 'Unknown tag');
+    }
+}
+
+/**
+ * Renders the chips of a tag input from its hidden value. Unknown tags are marked once the tag list is loaded.
+ * @param {string} id - The id of the hidden input holding the comma separated tags.
+ */
+function renderTagChips(id) {
+    const chipContainer = document.getElementById(`${id}Chips`);
+    if (!chipContainer) {
+        return;
+    }
+    const entry = document.getElementById(`${id}Entry`);
+    chipContainer.querySelectorAll('.chub-tag-chip').forEach(chip => chip.remove());
+    const tags = getTagInputValue(id);
+    entry?.insertAdjacentHTML('beforebegin', tags.map(tag => `
+        <span class="tag chub-tag chub-tag-chip" data-tag="${escapeHtml(tag)}">${escapeHtml(tag)}<i class="fa-solid fa-xmark chub-tag-chip-remove" role="button" aria-label="Remove ${escapeHtml(tag)}" title="Remove"></i></span>`).join(''));
+
+    loadTagList().then(tagList => {
+        if (tagList.length === 0) {
+            return;
+        }
+        const known = new Set(tagList.map(tag => tag.name.toLowerCase()));
+        chipContainer.querySelectorAll('.chub-tag-chip').forEach(chip => {
+            const unknown = !known.has(chip.dataset.tag.toLowerCase());
+            chip.classList.toggle('chub-tag-unknown', unknown);
+            chip.title = unknown ? 'Unknown tag: this will probably match nothing' : '';
+        });
+    });
+}
+
+/**
+ * Shows autocomplete suggestions for what is typed into a tag input: the most used matching tags that aren't added yet.
+ * @param {string} id - The id of the hidden input holding the comma separated tags.
+ * @returns {Promise<void>} - Resolves once the suggestions are rendered.
+ */
+async function renderTagSuggestions(id) {
+    const entry = document.getElementById(`${id}Entry`);
+    const list = document.getElementById(`${id}Suggestions`);
+    if (!entry || !list) {
+        return;
+    }
+    const query = entry.value.trim().toLowerCase();
+    const tagList = await loadTagList();
+    const chosen = new Set(getTagInputValue(id).map(tag => tag.toLowerCase()));
+    const matches = query
+        ? tagList.filter(tag => tag.name.toLowerCase().includes(query) && !chosen.has(tag.name.toLowerCase()))
+        : [];
+    // Prefix matches first, then by popularity (the list is already sorted by count)
+    matches.sort((a, b) => Number(b.name.toLowerCase().startsWith(query)) - Number(a.name.toLowerCase().startsWith(query)));
+
+    // The entry may have changed while the tag list was loading
+    if (entry.value.trim().toLowerCase() !== query) {
+        return;
+    }
+    list.innerHTML = matches.slice(0, TAG_SUGGESTION_LIMIT).map((tag, index) => `
+        <div class="chub-tag-suggestion ${index === 0 ? 'active' : ''}" role="option" data-tag="${escapeHtml(tag.name)}">
+            <span>${escapeHtml(tag.name)}</span>
+            ${tag.count !== null ? `<span class="chub-tag-count">${tag.count.toLocaleString()}</span>` : ''}
+        </div>`).join('');
+    list.hidden = matches.length === 0;
+    entry.setAttribute('aria-expanded', String(!list.hidden));
+}
+
+/**
+ * Wires the chip entry, suggestion list and remove buttons of a tag input.
+ * @param {string} id - The id of the hidden input holding the comma separated tags.
+ */
+function initTagInput(id) {
+    const entry = document.getElementById(`${id}Entry`);
+    const list = document.getElementById(`${id}Suggestions`);
+    const chipContainer = document.getElementById(`${id}Chips`);
+    if (!entry || !list || !chipContainer) {
+        return;
+    }
+    const hideSuggestions = () => {
+        list.hidden = true;
+        entry.setAttribute('aria-expanded', 'false');
+    };
+    const commitEntry = (tag) => {
+        addTagToInput(id, tag);
+        entry.value = '';
+        hideSuggestions();
+    };
+
+    renderTagChips(id);
+    entry.addEventListener('focus', () => loadTagList());
+    entry.addEventListener('input', () => {
+        // Typing or pasting a comma adds everything before it
+        if (entry.value.includes(',')) {
+            const parts = entry.value.split(',');
+            entry.value = parts.pop();
+            parts.forEach(part => addTagToInput(id, part));
+        }
+        renderTagSuggestions(id);
+    });
+    entry.addEventListener('blur', () => setTimeout(hideSuggestions, 150)); // Let a click on a suggestion land first
+    entry.addEventListener('keydown', (event) => {
+        const suggestions = [...list.querySelectorAll('.chub-tag-suggestion')];
+        const active = suggestions.findIndex(suggestion => suggestion.classList.contains('active'));
+        if ((event.key === 'ArrowDown' || event.key === 'ArrowUp') && !list.hidden) {
+            event.preventDefault();
+            const next = clamp(active + (event.key === 'ArrowDown' ? 1 : -1), 0, suggestions.length - 1);
+            suggestions.forEach((suggestion, index) => suggestion.classList.toggle('active', index === next));
+        } else if (event.key === 'Enter' || (event.key === 'Tab' && !list.hidden && entry.value.trim())) {
+            // Enter on an empty entry runs the search like in the other text inputs
+            if (!entry.value.trim()) {
+                if (event.key === 'Enter') {
+                    document.getElementById('characterSearchButton')?.click();
+                }
+                return;
+            }
+            event.preventDefault();
+            event.stopPropagation();
+            commitEntry(!list.hidden && active !== -1 ? suggestions[active].dataset.tag : entry.value);
+        } else if (event.key === 'Escape' && !list.hidden) {
+            event.stopPropagation();
+            hideSuggestions();
+        } else if (event.key === 'Backspace' && !entry.value) {
+            setTagInputValue(id, getTagInputValue(id).slice(0, -1));
+        }
+    });
+    list.addEventListener('mousedown', (event) => {
+        const suggestion = event.target.closest('.chub-tag-suggestion');
+        if (suggestion) {
+            event.preventDefault(); // Keep the focus in the entry
+            commitEntry(suggestion.dataset.tag);
+        }
+    });
+    chipContainer.addEventListener('click', (event) => {
+        const chip = event.target.closest('.chub-tag-chip');
+        if (chip && event.target.classList.contains('chub-tag-chip-remove')) {
+            setTagInputValue(id, getTagInputValue(id).filter(tag => tag !== chip.dataset.tag));
+        } else if (!chip) {
+            entry.focus();
+        }
+    });
+}
+
+/**
+ * Generates the <option> list for the saved searches dropdown.
+ * @param {string} selectedName - The preset to mark as selected.
+ * @returns {string} - The HTML string of the options.
+ */
+function generatePresetOptionsHtml(selectedName = '') {
+    const names = Object.keys(extension_settings.chub?.presets || {}).sort((a, b) => a.localeCompare(b));
+    return `<option value="">-- Saved searches --</option>` + names.map(name =>
+        `<option value="${escapeHtml(name)}" ${name === selectedName ? 'selected' : ''}>${escapeHtml(name)}</option>`).join('');
+}
+
+/**
+ * Re-renders the saved searches dropdown.
+ * @param {string} selectedName - The preset to select afterwards.
+ */
+function refreshPresetSelect(selectedName) {
+    const presetSelect = document.getElementById('chubPresetSelect');
+    if (presetSelect) {
+        presetSelect.innerHTML = generatePresetOptionsHtml(selectedName);
+    }
+}
+
+/**
+ * Asks the user for a saved search name.
+ * @param {string} defaultName - The value to pre-fill.
+ * @returns {Promise<string|null>} - The trimmed name, or null if cancelled or empty.
+ */
+async function promptPresetName(defaultName) {
+    // The generic popup stacks above the search popup; a legacy one would replace it
+    const name = await callGenericPopup('<h3>Saved search name</h3>', POPUP_TYPE.INPUT, defaultName);
+    return typeof name === 'string' && name.trim() ? name.trim() : null;
+}
+
+/**
+ * Merges presets from an exported file into the settings. Existing presets with the same name are replaced.
+ * @param {Object} data - Either an export (`{ presets: {...} }`) or a plain name -> options object.
+ * @returns {number} - The number of imported presets.
+ */
+function importPresets(data) {
+    const presets = data?.presets ?? data;
+    if (!presets || typeof presets !== 'object' || Array.isArray(presets)) {
+        throw new Error('Not a saved searches file');
+    }
+    let imported = 0;
+    for (const [name, options] of Object.entries(presets)) {
+        if (options && typeof options === 'object' && !Array.isArray(options)) {
+            extension_settings.chub.presets[name] = options;
+            imported++;
+        }
+    }
+    return imported;
+}
+
+/**
+ * Returns the bookmarks of the selected collection, creating the collection if it went missing.
+ * @returns {Array} - The bookmarked results (same shape as search results, plus `bookmarkedAt`).
+ */
+function getActiveCollection() {
+    const collections = extension_settings.chub.bookmarkCollections;
+    if (!collections[extension_settings.chub.activeCollection]) {
+        extension_settings.chub.activeCollection = Object.keys(collections)[0] || 'Favorites';
+        collections[extension_settings.chub.activeCollection] ??= [];
+    }
+    return collections[extension_settings.chub.activeCollection];
+}
+
+/**
+ * Checks whether a result is in the selected bookmark collection.
+ * @param {string} fullPath - The result's path.
+ * @returns {boolean} - True if bookmarked.
+ */
+function isBookmarked(fullPath) {
+    return getActiveCollection().some(bookmark => bookmark.fullPath === fullPath);
+}
+
+/**
+ * Picks the metadata of a result worth keeping in a bookmark. Also used to clean up imported bookmark files.
+ * @param {Object} item - A search result or bookmark.
+ * @returns {Object|null} - The bookmark, or null if the item has no path.
+ */
+function toBookmark(item) {
+    if (!item || typeof item.fullPath !== 'string' || !item.fullPath) {
+        return null;
+    }
+    return {
+        fullPath: item.fullPath,
+        name: String(item.name ?? item.fullPath),
+        author: String(item.author ?? item.fullPath.split('/')[0]),
+        url: typeof item.url === 'string' ? item.url : '',
+        description: String(item.description ?? ''),
+        tags: Array.isArray(item.tags) ? item.tags.map(String) : [],
+        type: item.type === 'lorebook' ? 'lorebook' : 'character',
+        bookmarkedAt: Number(item.bookmarkedAt) || Date.now(),
+    };
+}
+
+/**
+ * Adds a result to the selected collection, or removes it if it is already there.
+ * @param {Object} item - A search result or bookmark.
+ */
+function toggleBookmark(item) {
+    const collection = getActiveCollection();
+    const index = collection.findIndex(bookmark => bookmark.fullPath === item.fullPath);
+    if (index !== -1) {
+        collection.splice(index, 1);
+    } else {
+        const bookmark = toBookmark(item);
+        if (!bookmark) {
+            return;
+        }
+        collection.push(bookmark);
+    }
+    saveSettingsDebounced();
+    syncBookmarkButtons();
+    renderBookmarks();
+}
+
+/**
+ * Generates the star button of a result.
+ * @param {string} fullPath - The result's path.
+ * @returns {string} - The button HTML.
+ */
+function generateBookmarkButtonHtml(fullPath) {
+    const bookmarked = isBookmarked(fullPath);
+    const label = bookmarked ? 'Remove bookmark' : 'Bookmark';
+    return `<div data-path="${escapeHtml(fullPath)}" class="menu_button ${bookmarked ? 'fa-solid' : 'fa-regular'} fa-star faSmallFontSquareFix chub-bookmark-btn" role="button" aria-pressed="${bookmarked}" aria-label="${label}" title="${label} (b)"></div>`;
+}
+
+/**
+ * Updates every star button in the popup after the bookmarks or the selected collection changed.
+ */
+function syncBookmarkButtons() {
+    document.querySelectorAll('#list-and-search-wrapper .chub-bookmark-btn').forEach(button => {
+        const bookmarked = isBookmarked(button.dataset.path);
+        button.classList.toggle('fa-solid', bookmarked);
+        button.classList.toggle('fa-regular', !bookmarked);
+        button.setAttribute('aria-pressed', String(bookmarked));
+        button.setAttribute('aria-label', bookmarked ? 'Remove bookmark' : 'Bookmark');
+        button.title = `${bookmarked ? 'Remove bookmark' : 'Bookmark'} (b)`;
+    });
+}
+
+/**
+ * Generates the <option> list of bookmark collections.
+ * @returns {string} - The HTML string of the options.
+ */
+function generateCollectionOptionsHtml() {
+    const active = extension_settings.chub.activeCollection;
+    return Object.entries(extension_settings.chub.bookmarkCollections)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([name, bookmarks]) => `<option value="${escapeHtml(name)}" ${name === active ? 'selected' : ''}>${escapeHtml(name)} (${bookmarks.length})</option>`)
+        .join('');
+}
+
+/**
+ * Re-renders the bookmark list of the selected collection, filtered by the bookmarks filter input.
+ */
+function renderBookmarks() {
+    const list = document.getElementById('chubBookmarkList');
+    if (!list) {
+        return;
+    }
+    const collectionSelect = document.getElementById('chubCollectionSelect');
+    if (collectionSelect) {
+        collectionSelect.innerHTML = generateCollectionOptionsHtml();
+    }
+
+    const filter = (document.getElementById('chubBookmarkFilter')?.value || '').trim().toLowerCase();
+    const bookmarks = getActiveCollection()
+        .filter(bookmark => !filter || [bookmark.name, bookmark.author, bookmark.description, ...bookmark.tags].some(text => String(text).toLowerCase().includes(filter)))
+        .sort((a, b) => b.bookmarkedAt - a.bookmarkedAt);
+
+    if (bookmarks.length === 0) {
+        list.innerHTML = `<div class="chub-no-characters-found">${filter ? 'No bookmarks match the filter.' : 'No bookmarks in this collection yet. Use the star on a search result to add one.'}</div>`;
+        return;
+    }
+    const placeholderImg = `${extensionFolderPath}placeholder.png`;
+    list.innerHTML = bookmarks.map(bookmark => `
+        <div class="chub-bookmark-item chub-character-item" data-path="${escapeHtml(bookmark.fullPath)}" data-type="${bookmark.type}" title="${bookmark.type === 'lorebook' ? '' : 'Click for details'}">
+            <input type="checkbox" class="chub-bookmark-checkbox" title="Select for import">
+            ${bookmark.type === 'lorebook'
+                ? '<div class="chub-lorebook-icon"><i class="fas fa-book-atlas"></i></div>'
+                : `<img class="thumbnail chub-thumbnail" src="${escapeHtml(safeUrl(bookmark.url, placeholderImg))}" alt="" loading="lazy" onerror="this.onerror=null; this.src='${placeholderImg}';">`}
+            <div class="info chub-info">
+                <div class="name chub-name">${escapeHtml(bookmark.name)}</div>
+                <span class="author chub-author">by ${escapeHtml(bookmark.author)}${isAlreadyImported(bookmark) ? ' <span class="chub-imported-badge"><i class="fas fa-check"></i> Already imported</span>' : ''}</span>
+                <div class="tags chub-tags">${bookmark.tags.slice(0, 8).map(tag => `<span class="tag chub-tag">${escapeHtml(tag)}</span>`).join('')}</div>
             </div>
-            <div data-path="${character.fullPath}" class="menu_button download-btn fa-solid fa-cloud-arrow-down faSmallFontSquareFix chub-download-btn" title="Import Character"></div>
-        </div>
-    `;
+            <div class="menu_button fa-solid fa-trash faSmallFontSquareFix chub-bookmark-remove" role="button" aria-label="Remove bookmark" title="Remove bookmark"></div>
+            <div class="menu_button fa-solid fa-cloud-arrow-down faSmallFontSquareFix chub-bookmark-import" role="button" aria-label="Import" title="Import"></div>
+        </div>`).join('');
 }
 
-// good ol' clamping
-function clamp(value, min, max) {
-    return Math.min(Math.max(value, min), max);
+/**
+ * Shows the search results or the bookmarks in the popup.
+ * @param {'search'|'bookmarks'} tab - The tab to show.
+ */
+function switchPopupTab(tab) {
+    const wrapper = document.getElementById('list-and-search-wrapper');
+    if (!wrapper) {
+        return;
+    }
+    closeCharacterDetails();
+    const showBookmarks = tab === 'bookmarks';
+    wrapper.classList.toggle('chub-showing-bookmarks', showBookmarks);
+    document.getElementById('chubBookmarksView').hidden = !showBookmarks;
+    document.querySelectorAll('.chub-tab').forEach(button => {
+        const active = button.dataset.tab === tab;
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-selected', String(active));
+    });
+    if (showBookmarks) {
+        renderBookmarks();
+    } else {
+        syncBookmarkButtons();
+    }
+}
+
+/**
+ * Merges bookmark collections from an exported file. Bookmarks already in a collection are kept once.
+ * @param {Object} data - An export (`{ collections: { name: [...] } }`).
+ * @returns {number} - The number of newly added bookmarks.
+ */
+function importBookmarkCollections(data) {
+    const collections = data?.collections;
+    if (!collections || typeof collections !== 'object' || Array.isArray(collections)) {
+        throw new Error('Not a bookmarks file');
+    }
+    let imported = 0;
+    for (const [name, bookmarks] of Object.entries(collections)) {
+        if (!Array.isArray(bookmarks)) {
+            continue;
+        }
+        const collection = extension_settings.chub.bookmarkCollections[name] ??= [];
+        for (const bookmark of bookmarks.map(toBookmark).filter(Boolean)) {
+            if (!collection.some(existing => existing.fullPath === bookmark.fullPath)) {
+                collection.push(bookmark);
+                imported++;
+            }
+        }
+    }
+    return imported;
+}
+
+/**
+ * Asks the user for a bookmark collection name.
+ * @param {string} defaultName - The value to pre-fill.
+ * @returns {Promise<string|null>} - The trimmed name, or null if cancelled, empty or already taken.
+ */
+async function promptCollectionName(defaultName) {
+    const name = await callGenericPopup('<h3>Collection name</h3>', POPUP_TYPE.INPUT, defaultName);
+    if (typeof name !== 'string' || !name.trim()) {
+        return null;
+    }
+    if (name.trim() !== defaultName && extension_settings.chub.bookmarkCollections[name.trim()]) {
+        toastr.warning(`A collection named "${escapeHtml(name.trim())}" already exists.`);
+        return null;
+    }
+    return name.trim();
+}
+
+/**
+ * Converts a result into a flat export row (see `EXPORT_COLUMNS`).
+ * @param {Object} item - A search result.
+ * @returns {Object} - The row.
+ */
+function toExportRow(item) {
+    return {
+        name: item.name,
+        author: item.author,
+        fullPath: item.fullPath,
+        url: getActiveProvider().getPageUrl(item.fullPath, item.type),
+        avatar: item.url || '',
+        type: item.type || 'character',
+        tags: item.tags || [],
+        tagline: item.description || '',
+        createdAt: item.createdAt ? new Date(item.createdAt).toISOString() : null,
+        ...Object.fromEntries(['downloads', 'stars', 'chats', 'messages', 'favorites', 'rating', 'ratingCount', 'tokens', 'forks'].map(key => [key, item.stats?.[key] ?? null])),
+    };
+}
+
+/**
+ * Quotes a value for CSV if needed. Text a spreadsheet would run as a formula gets a leading "'" (undone by `parseCsv`).
+ * @param {*} value - The cell value; arrays are joined with "; ".
+ * @returns {string} - The CSV cell.
+ */
+function toCsvCell(value) {
+    let text = Array.isArray(value) ? value.join('; ') : String(value ?? '');
+    if (CSV_FORMULA_PATTERN.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats export rows as CSV. The query is written as "# key=value" comment lines before the header.
+ * @param {Object[]} rows - Rows from `toExportRow`.
+ * @param {Object} query - The search options used.
+ * @returns {string} - The CSV text.
+ */
+function formatResultsCsv(rows, query) {
+    const comments = Object.entries(query || {})
+        .filter(([, value]) => value !== null && value !== '' && !(Array.isArray(value) && value.length === 0))
+        .map(([key, value]) => `# ${key}=${Array.isArray(value) ? value.join(',') : value}`);
+    const lines = rows.map(row => EXPORT_COLUMNS.map(column => toCsvCell(row[column])).join(','));
+    return [...comments, EXPORT_COLUMNS.join(','), ...lines].join('\r\n');
+}
+
+/**
+ * Parses CSV (as written by `formatResultsCsv`) into objects keyed by the header. Comment lines are skipped.
+ * @param {string} text - The CSV text.
+ * @returns {Object[]} - One object per row.
+ */
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let cell = '';
+    let quoted = false;
+    const lines = text.split(/\r?\n/);
+    const start = lines.findIndex(line => !line.startsWith('#'));
+    if (start === -1) {
+        return [];
+    }
+    const body = lines.slice(start).join('\n');
+    for (let i = 0; i < body.length; i++) {
+        const char = body[i];
+        if (quoted) {
+            if (char === '"' && body[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(cell);
+            cell = '';
+        } else if (char === '\n') {
+            record.push(cell);
+            records.push(record);
+            record = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell || record.length > 0) {
+        record.push(cell);
+        records.push(record);
+    }
+
+    const [header, ...rows] = records.filter(row => row.some(value => value !== ''));
+    if (!header) {
+        return [];
+    }
+    const unescapeFormula = (value) => /^'/.test(value) && CSV_FORMULA_PATTERN.test(value.slice(1)) ? value.slice(1) : value;
+    return rows.map(row => Object.fromEntries(header.map((column, i) => [column.trim(), unescapeFormula(row[i] ?? '')])));
+}
+
+/**
+ * Reads a results export (JSON or CSV) back into result-shaped objects for bookmarking or importing.
+ * @param {string} text - The file contents.
+ * @param {string} fileName - The file name, to tell the formats apart.
+ * @returns {Object[]} - Results with at least `fullPath`, `name`, `author`, `tags` and `type`.
+ */
+function parseResultsExport(text, fileName) {
+    const rows = fileName.toLowerCase().endsWith('.csv') ? parseCsv(text) : JSON.parse(text)?.results;
+    if (!Array.isArray(rows)) {
+        throw new Error('Not a search results export');
+    }
+    return rows
+        .filter(row => row && typeof row.fullPath === 'string' && row.fullPath)
+        .map(row => ({
+            fullPath: row.fullPath,
+            name: row.name || row.fullPath,
+            author: row.author || row.fullPath.split('/')[0],
+            url: row.avatar || '',
+            description: row.tagline || '',
+            tags: Array.isArray(row.tags) ? row.tags : String(row.tags || '').split(';').map(tag => tag.trim()).filter(tag => tag),
+            type: row.type === 'lorebook' ? 'lorebook' : 'character',
+        }));
+}
+
+/**
+ * Requests every page of a search, up to `EXPORT_RESULT_CAP` results.
+ * @param {Object} options - The search options.
+ * @returns {Promise<Array>} - All results.
+ */
+async function fetchAllResultPages(options) {
+    const results = [];
+    for (let page = 1; results.length < EXPORT_RESULT_CAP; page++) {
+        const { characters, total } = await requestSearchPage({ ...options, page }, 'export');
+        results.push(...characters);
+        if (characters.length < options.first || (total !== null && results.length >= total)) {
+            break;
+        }
+    }
+    return results.slice(0, EXPORT_RESULT_CAP);
+}
+
+/**
+ * Asks what to export and downloads the search results as JSON or CSV.
+ * @returns {Promise<void>} - Resolves once the file is downloaded or the user cancels.
+ */
+async function exportSearchResults() {
+    const visible = getVisibleCharacters();
+    if (visible.length === 0) {
+        toastr.info("Search for something to export first.");
+        return;
+    }
+    // The search behind the list on screen; only a regular search can be re-run page by page, the followed feed is exported as shown
+    const query = chubCharactersOptions;
+    const choice = { scope: 'current', format: 'json' };
+    const popupPromise = callGenericPopup(`
+        <h3>Export results</h3>
+        <div class="chub-import-options">
+            <label for="chubExportScopeSelect">Results</label>
+            <select id="chubExportScopeSelect" class="text_pole">
+                <option value="current">The ${visible.length} loaded results</option>
+                ${query ? `<option value="all">All pages (at most ${EXPORT_RESULT_CAP})</option>` : ''}
+            </select>
+            <label for="chubExportFormatSelect">Format</label>
+            <select id="chubExportFormatSelect" class="text_pole">
+                <option value="json">JSON</option>
+                <option value="csv">CSV</option>
+            </select>
+        </div>`,
+        POPUP_TYPE.CONFIRM, '', { okButton: 'Export', cancelButton: 'Cancel' });
+    document.getElementById('chubExportScopeSelect')?.addEventListener('change', (event) => { choice.scope = event.target.value; });
+    document.getElementById('chubExportFormatSelect')?.addEventListener('change', (event) => { choice.format = event.target.value; });
+    if (!await popupPromise) {
+        return;
+    }
+
+    let results = visible;
+    if (choice.scope === 'all') {
+        try {
+            toastr.info("Fetching all pages...");
+            results = (await fetchAllResultPages(applySearchDefaults({ ...query }))).filter(result => !isHidden(result));
+        } catch (error) {
+            console.error('Export: fetching all pages failed', error);
+            toastr.error(escapeHtml(error.message), escapeHtml(error.title || 'Export failed'));
+            return;
+        }
+    }
+
+    const rows = results.map(toExportRow);
+    const fileName = `chub-results-${new Date().toISOString().slice(0, 10)}`;
+    if (choice.format === 'csv') {
+        download(formatResultsCsv(rows, query), `${fileName}.csv`, 'text/csv');
+    } else {
+        const exported = { type: 'chub-search-results', version: 1, provider: getActiveProvider().id, exportedAt: new Date().toISOString(), query: query, results: rows };
+        download(JSON.stringify(exported, null, 4), `${fileName}.json`, 'application/json');
+    }
+    toastr.success(`Exported ${rows.length} result${rows.length === 1 ? '' : 's'}.`);
+}
+
+/**
+ * Loads a results export and adds it as a bookmark collection or to the import queue.
+ * @param {File} file - The JSON or CSV export.
+ * @returns {Promise<void>} - Resolves once the list is handled or the user cancels.
+ */
+async function importResultsList(file) {
+    let results;
+    try {
+        results = parseResultsExport(await file.text(), file.name);
+    } catch (error) {
+        console.error('Failed to read results list', error);
+        toastr.error(`Could not read the list: ${escapeHtml(error.message)}`);
+        return;
+    }
+    if (results.length === 0) {
+        toastr.info("The list contains no results.");
+        return;
+    }
+
+    const BOOKMARK = 2;
+    const IMPORT = 3;
+    const action = await callGenericPopup(
+        `<h3>${results.length} result${results.length === 1 ? '' : 's'} in "${escapeHtml(file.name)}"</h3><p>Keep them as a bookmark collection, or import them all now?</p>`,
+        POPUP_TYPE.TEXT, '',
+        {
+            okButton: false,
+            cancelButton: 'Cancel',
+            customButtons: [
+                { text: 'Bookmark collection', result: BOOKMARK },
+                { text: 'Import all', result: IMPORT },
+            ],
+        },
+    );
+    if (action === BOOKMARK) {
+        const name = file.name.replace(/\.(json|csv)$/i, '');
+        const added = importBookmarkCollections({ collections: { [name]: results } });
+        extension_settings.chub.activeCollection = name;
+        saveSettingsDebounced();
+        switchPopupTab('bookmarks');
+        syncBookmarkButtons();
+        toastr.success(`Added ${added} bookmark${added === 1 ? '' : 's'} to "${escapeHtml(name)}".`);
+    } else if (action === IMPORT) {
+        enqueueImports(results);
+    }
 }
 
 /**
@@ -403,20 +4628,6 @@ function clamp(value, min, max) {
  * @returns {string} - The HTML string for the popup content.
  */
 function createPopupLayout() {
-     const readableSortOptions = {
-        "download_count": "Downloads",
-        "last_activity_at": "Last Activity",
-        "rating": "Rating",
-        "created_at": "Creation Date",
-        "name": "Name",
-        "n_tokens": "Tokens",
-        "trending_downloads": "Trending",
-        "id": "ID (Newest)", // Assuming higher ID is newer
-        "rating_count": "Rating Count",
-        "random": "Random"
-        // Add other relevant sort options from API docs if needed
-    };
-
     // Load current settings to pre-fill checkboxes etc. Use defaults if settings not loaded yet.
     const currentSettings = extension_settings.chub || defaultSettings;
 
@@ -441,27 +4652,109 @@ function createPopupLayout() {
              <input type="text" id="${id}" class="text_pole flex1" placeholder="${placeholder}" value="${value}">
          </div>`;
 
+    // Helper to create a tag chip input; the tags are kept comma separated in the hidden input, see initTagInput
+    const createTagInput = (id, label, placeholder = '', title = '') => `
+        <div class="flex-container flex-no-wrap flex-align-center chub-filter-item chub-tag-input">
+            <label for="${id}Entry" title="${title}">${label}:</label>
+            <div class="text_pole flex1 chub-tag-chips" id="${id}Chips">
+                <input type="text" id="${id}Entry" class="chub-tag-entry" placeholder="${placeholder}" autocomplete="off"
+                    role="combobox" aria-autocomplete="list" aria-expanded="false" aria-controls="${id}Suggestions" aria-label="${title}">
+            </div>
+            <div class="chub-tag-suggestions" id="${id}Suggestions" role="listbox" hidden></div>
+            <input type="hidden" id="${id}" value="">
+        </div>`;
+
     return `
 <div class="list-and-search-wrapper chub-wrapper" id="list-and-search-wrapper">
-    <div class="character-list-popup chub-list-popup">
-        ${chubCharacters.map((character, index) => generateCharacterListItem(character, index)).join('')}
+    <div class="chub-tabs flex-container flex-no-wrap" role="tablist">
+        <div class="menu_button chub-tab active" data-tab="search" role="tab" tabindex="0" aria-selected="true"><i class="fas fa-search"></i> Search</div>
+        <div class="menu_button chub-tab" data-tab="bookmarks" role="tab" tabindex="0" aria-selected="false"><i class="fas fa-star"></i> Bookmarks</div>
+    </div>
+    <div class="chub-selection-bar flex-container flex-no-wrap flex-align-center">
+        <div class="menu_button chub-history-button ${searchHistoryIndex <= 0 ? 'disabled' : ''}" id="chubHistoryBackButton" role="button" tabindex="0" aria-label="Previous search" title="Previous search"><i class="fas fa-arrow-left"></i></div>
+        <div class="menu_button chub-history-button ${searchHistoryIndex >= searchHistory.length - 1 ? 'disabled' : ''}" id="chubHistoryForwardButton" role="button" tabindex="0" aria-label="Next search" title="Next search"><i class="fas fa-arrow-right"></i></div>
+        <label class="checkbox_label" for="chubSelectAllCheckbox" title="Select every character on this page">
+            <input type="checkbox" id="chubSelectAllCheckbox"> Select all on page
+        </label>
+        <span id="chubSelectionCount" class="chub-selection-count flex1">${selectedCharacters.size} selected</span>
+        <label class="checkbox_label" for="chubHideImportedCheckbox" title="Hide characters that are already in your library">
+            <input type="checkbox" id="chubHideImportedCheckbox" ${extension_settings.chub?.hideImported ? 'checked' : ''}> Hide imported
+        </label>
+        <select id="chubLocalSortSelect" class="margin0 chub-local-sort" title="Re-sort the loaded results without searching again" aria-label="Sort loaded results">
+            <option value="">Catalog order</option>
+            ${Object.entries(LOCAL_SORTS).map(([key, { label }]) => `<option value="${key}" ${key === localSort ? 'selected' : ''}>${label}</option>`).join('')}
+        </select>
+        <div class="chub-view-toggle flex-container flex-no-wrap" id="chubViewToggle">
+            ${Object.entries(VIEW_MODES).map(([mode, { icon, label }]) => `<div class="menu_button fa-solid ${icon} faSmallFontSquareFix chub-view-button ${getViewMode() === mode ? 'active' : ''}" data-view="${mode}" role="button" tabindex="0" aria-pressed="${getViewMode() === mode}" aria-label="${label} view" title="${label}"></div>`).join('')}
+        </div>
+        <div class="menu_button" id="chubClearSelectionButton" title="Deselect all characters"><i class="fas fa-xmark"></i> Clear</div>
+        <div class="menu_button" id="chubImportSelectedButton" title="Import all selected characters"><i class="fas fa-file-import"></i> Import selected</div>
+        <div class="menu_button" id="chubCheckUpdatesButton" title="Check Chub for updates of characters you imported"><i class="fas fa-rotate"></i> Check for updates</div>
+        <div class="menu_button" id="chubFollowedFeedButton" title="Show what the authors you follow published since you last looked"><i class="fas fa-user-group"></i> New from followed</div>
+        <div class="menu_button" id="chubExportResultsButton" role="button" aria-label="Export results" title="Export the results to JSON or CSV"><i class="fas fa-file-export"></i></div>
+        <div class="menu_button" id="chubImportListButton" role="button" aria-label="Import a results list" title="Open an exported results list as bookmarks or import it"><i class="fas fa-file-import"></i></div>
+        <input type="file" id="chubImportListInput" accept=".json,.csv,application/json,text/csv" hidden>
+    </div>
+    <div class="chub-results-status" id="chubResultsStatus" role="status" aria-live="polite"></div>
+    <div class="chub-author-banner flex-container flex-no-wrap flex-align-center" id="chubAuthorBanner" hidden></div>
+    <div class="chub-import-queue" id="chubImportQueue" ${importQueue.length === 0 ? 'hidden' : ''}>${generateImportQueueHtml()}</div>
+    <div class="character-list-popup chub-list-popup chub-view-${getViewMode()}" role="listbox" aria-multiselectable="true"
+        aria-label="Search results. Arrow keys or j/k to move, Enter for details, Space to select, i to import, b to bookmark, / to search, [ and ] to change page">
+        ${chubCharacters.map((character, index) => generateResultListItem(character, index)).join('')}
         <!-- Placeholder message when list is empty -->
         ${chubCharacters.length === 0 ? '<div class="chub-no-characters-found">Perform a search to see characters.</div>' : ''}
     </div>
+    <div class="chub-bookmarks-view" id="chubBookmarksView" role="tabpanel" aria-label="Bookmarks" hidden>
+        <div class="chub-search-row">
+            <label for="chubCollectionSelect" title="Bookmark collection"><i class="fas fa-star"></i></label>
+            <select id="chubCollectionSelect" class="margin0 flex1" title="Bookmark collection"></select>
+            <div class="menu_button" id="chubCollectionNewButton" title="New collection"><i class="fas fa-plus"></i></div>
+            <div class="menu_button" id="chubCollectionRenameButton" title="Rename the collection"><i class="fas fa-pen"></i></div>
+            <div class="menu_button" id="chubCollectionDeleteButton" title="Delete the collection"><i class="fas fa-trash"></i></div>
+            <div class="menu_button" id="chubCollectionExportButton" title="Export the collection to JSON"><i class="fas fa-file-export"></i></div>
+            <div class="menu_button" id="chubCollectionImportButton" title="Import collections from JSON"><i class="fas fa-file-import"></i></div>
+            <input type="file" id="chubCollectionImportInput" accept=".json,application/json" hidden>
+        </div>
+        <div class="chub-search-row">
+            <input type="text" id="chubBookmarkFilter" class="text_pole flex1" placeholder="Filter bookmarks..." aria-label="Filter bookmarks">
+            <label class="checkbox_label" for="chubBookmarkSelectAll" title="Select every listed bookmark">
+                <input type="checkbox" id="chubBookmarkSelectAll"> Select all
+            </label>
+            <div class="menu_button" id="chubBookmarkImportButton" title="Import the selected bookmarks"><i class="fas fa-file-import"></i> Import selected</div>
+        </div>
+        <div class="chub-bookmark-list" id="chubBookmarkList"></div>
+    </div>
+    <div class="chub-detail-view" id="chubDetailView" role="region" aria-label="Character details" tabindex="-1" hidden></div>
     <hr class="chub-hr">
     <div class="search-container chub-search-container">
+        <div class="chub-search-row chub-preset-row">
+            <label for="chubPresetSelect" title="Saved searches"><i class="fas fa-sliders"></i></label>
+            <select id="chubPresetSelect" class="margin0 flex1" title="Restore a saved search">${generatePresetOptionsHtml()}</select>
+            <div class="menu_button" id="chubPresetSaveButton" title="Save the current search"><i class="fas fa-floppy-disk"></i></div>
+            <div class="menu_button" id="chubPresetRenameButton" title="Rename the selected search"><i class="fas fa-pen"></i></div>
+            <div class="menu_button" id="chubPresetDeleteButton" title="Delete the selected search"><i class="fas fa-trash"></i></div>
+            <div class="menu_button" id="chubPresetExportButton" title="Export saved searches to JSON"><i class="fas fa-file-export"></i></div>
+            <div class="menu_button" id="chubPresetImportButton" title="Import saved searches from JSON"><i class="fas fa-file-import"></i></div>
+            <input type="file" id="chubPresetImportInput" accept=".json,application/json" hidden>
+        </div>
         <div class="chub-search-row">
-             ${createTextInput('characterSearchInput', '<i class="fas fa-search"></i>', 'Full-text search...', '', 'Search name, description, tags etc.')}
+             <select id="chubContentTypeSelect" class="margin0" title="What to search for">
+                <option value="characters">Characters</option>
+                <option value="lorebooks">Lorebooks</option>
+             </select>
+             ${createTextInput('characterSearchInput', '<i class="fas fa-search"></i>', 'Search, or filter: tag:fantasy -tag:gore author:name tokens:500..2000 has:lore sort:rating', '', 'Full-text search of name, description, tags etc. Filters: tag: -tag: author: name: lang: tokens:min..max days: chats: rating: has: -has: sort: order:asc')}
         </div>
+        <div id="chubQueryErrors" class="chub-query-errors" role="alert" hidden></div>
         <div class="chub-search-row">
             ${createTextInput('nameLikeInput', '<i class="fas fa-user"></i>', 'Name contains...', '', 'Search only character names')}
+            ${createTextInput('chubAuthorInput', '<i class="fas fa-at"></i>', 'Author...', '', 'Only show what this author (username) published')}
         </div>
         <div class="chub-search-row">
-            ${createTextInput('includeTags', '<i class="fas fa-plus-square"></i>', 'Include tags (comma separated)', '', 'Tags the character MUST have')}
+            ${createTagInput('includeTags', '<i class="fas fa-plus-square"></i>', 'Include tags...', 'Tags the character MUST have')}
              ${createCheckbox('inclusiveOrCheckbox', 'OR', currentSettings.inclusive_or, 'If checked, match ANY included tag (OR). If unchecked, match ALL (AND).')}
         </div>
         <div class="chub-search-row">
-             ${createTextInput('excludeTags', '<i class="fas fa-minus-square"></i>', 'Exclude tags (comma separated)', '', 'Tags the character must NOT have')}
+             ${createTagInput('excludeTags', '<i class="fas fa-minus-square"></i>', 'Exclude tags...', 'Tags the character must NOT have')}
         </div>
 
         <details class="chub-details">
@@ -486,9 +4779,34 @@ function createPopupLayout() {
                 ${createCheckbox('requireLoreEmbeddedCheckbox', 'Need Emb. Lore', currentSettings.require_lore_embedded, 'Require characters to have an embedded lorebook')}
                 ${createCheckbox('requireLoreLinkedCheckbox', 'Need Link. Lore', currentSettings.require_lore_linked, 'Require characters to have a linked lorebook')}
                 ${createCheckbox('recommendedVerifiedCheckbox', 'Rec. & Verified', currentSettings.recommended_verified, 'Only show Recommended or Verified characters')}
+                ${createCheckbox('chubImportLinkedLorebooksCheckbox', 'Import Linked Lore', currentSettings.importLinkedLorebooks, 'When importing a character, also import the lorebooks it links to as World Info')}
                 ${createCheckbox('includeForksCheckbox', 'Include Forks', true, 'Include forked versions of characters (uncheck for originals only)')}
                  ${createTextInput('languageInput', 'Language', 'e.g., en, ja', '', 'Filter by language code (ISO 639-1)')}
                 </div>
+        </details>
+        <details class="chub-details">
+            <summary class="chub-summary">Blocklist</summary>
+            <div class="chub-filter-grid chub-blocklist-grid">
+                ${['authors', 'tags', 'keywords'].map(kind => `
+                <div class="flex-container flexFlowColumn chub-filter-item">
+                    <label for="chubBlocklist_${kind}">Hidden ${kind} (one per line):</label>
+                    <textarea id="chubBlocklist_${kind}" class="text_pole textarea_compact" rows="3">${escapeHtml((currentSettings.blocklist?.[kind] || []).join('\n'))}</textarea>
+                </div>`).join('')}
+            </div>
+        </details>
+        <details class="chub-details">
+            <summary class="chub-summary">Import Options</summary>
+            <div class="chub-filter-grid chub-blocklist-grid">
+                ${createCheckbox('chubImportAskDefaultCheckbox', 'Ask Every Time', currentSettings.importOptions?.ask, 'Show the import options (version, tags, open chat) for every import. Shift+click an import button to see them once.')}
+                ${createCheckbox('chubImportTagsDefaultCheckbox', 'Add Chub Tags', currentSettings.importOptions?.applyTags, "Add the card's Chub topics as SillyTavern tags when importing")}
+                ${createCheckbox('chubImportOnlyMappedCheckbox', 'Only Mapped Tags', currentSettings.importOptions?.onlyMappedTags, 'Only add topics that are listed in the tag mapping')}
+                ${createCheckbox('chubImportExpressionsDefaultCheckbox', 'Install Expressions', currentSettings.importOptions?.installExpressions, "Install the card's expression pack as sprites for the Expressions extension. Otherwise single imports offer it.")}
+                ${createCheckbox('chubImportOpenChatDefaultCheckbox', 'Open Chat', currentSettings.importOptions?.openChat, 'Open a chat with a character right after importing it')}
+                <div class="flex-container flexFlowColumn chub-filter-item">
+                    <label for="chubTagMappingInput" title="One per line. Leave the right side empty to drop a topic.">Tag mapping (chub topic = tag):</label>
+                    <textarea id="chubTagMappingInput" class="text_pole textarea_compact" rows="3" placeholder="sci-fi = Science Fiction&#10;nsfw =">${escapeHtml(formatTagMapping(currentSettings.importOptions?.tagMapping || {}))}</textarea>
+                </div>
+            </div>
         </details>
          <details class="chub-details">
              <summary class="chub-summary">Sorting & Pagination</summary>
@@ -496,17 +4814,26 @@ function createPopupLayout() {
                 <div class="flex-container flex-no-wrap flex-align-center chub-filter-item">
                     <label for="sortOrder">Sort By:</label>
                     <select class="margin0" id="sortOrder">
-                        ${Object.entries(readableSortOptions).map(([key, value]) => `<option value="${key}">${value}</option>`).join('')}
+                        ${Object.entries(SORT_OPTIONS).map(([key, value]) => `<option value="${key}" ${key === currentSettings.sort ? 'selected' : ''}>${value}</option>`).join('')}
                     </select>
                 </div>
                  <div class="flex-container flex-no-wrap flex-align-center chub-filter-item">
                     <label for="sortAscCheckbox">Ascending:</label>
-                    <input type="checkbox" id="sortAscCheckbox">
+                    <input type="checkbox" id="sortAscCheckbox" ${currentSettings.asc ? 'checked' : ''}>
                 </div>
                  <div class="flex-container flex-no-wrap flex-align-center chub-filter-item">
                     <label for="resultsPerPage">Per Page:</label>
                     <input type="number" id="resultsPerPage" class="text_pole textarea_compact wide8pMinFit" min="1" max="100" value="${currentSettings.findCount || 30}">
                  </div>
+                <div class="flex-container flex-no-wrap flex-align-center chub-filter-item">
+                    <label for="chubInfiniteScrollCheckbox" title="Load the next page automatically when scrolling to the bottom of the results">Infinite Scroll:</label>
+                    <input type="checkbox" id="chubInfiniteScrollCheckbox" ${currentSettings.infiniteScroll ? 'checked' : ''}>
+                </div>
+                <div class="flex-container flex-no-wrap flex-align-center chub-filter-item">
+                    <label for="chubCacheTtlInput" title="How long search results are reused before asking CHub again (0 disables the cache)">Cache (min):</label>
+                    <input type="number" id="chubCacheTtlInput" class="text_pole textarea_compact wide8pMinFit" min="0" value="${currentSettings.cacheTtlMinutes ?? defaultSettings.cacheTtlMinutes}">
+                    <button class="menu_button" id="chubClearCacheButton" title="Clear cached search results"><i class="fas fa-trash-can"></i></button>
+                </div>
                 <div class="page-buttons flex-container flex-no-wrap flex-align-center chub-filter-item">
                     <button class="menu_button" id="pageDownButton" title="Previous Page"><i class="fas fa-chevron-left"></i></button>
                     <label for="pageNumber">Page:</label>
@@ -516,6 +4843,26 @@ function createPopupLayout() {
             </div>
         </details>
 
+        <details class="chub-details">
+            <summary class="chub-summary">Advanced</summary>
+            <div class="chub-filter-grid">
+                <div class="flex-container flex-no-wrap flex-align-center chub-filter-item">
+                    <label for="chubProviderSelect" title="Where results are searched and imported from">Catalog:</label>
+                    <select class="margin0" id="chubProviderSelect">
+                        ${[...catalogProviders.values()].map(provider => `<option value="${provider.id}" ${provider.id === getActiveProvider().id ? 'selected' : ''}>${provider.name}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="flex-container flex-no-wrap flex-align-center chub-filter-item">
+                    <label for="chubSearchEndpointInput" title="Search API used by the Chub.ai catalog">Search URL:</label>
+                    <input type="text" id="chubSearchEndpointInput" class="text_pole textarea_compact" placeholder="${API_ENDPOINT_SEARCH}" value="${escapeHtml(currentSettings.chubSearchEndpoint)}">
+                </div>
+                <div class="flex-container flex-no-wrap flex-align-center chub-filter-item">
+                    <label for="chubApiBaseUrlInput" title="Base URL of the Chub.ai API used for details and downloads">API URL:</label>
+                    <input type="text" id="chubApiBaseUrlInput" class="text_pole textarea_compact" placeholder="${API_BASE_URL}" value="${escapeHtml(currentSettings.chubApiBaseUrl)}">
+                </div>
+            </div>
+        </details>
+
         <div class="menu_button chub-search-button" id="characterSearchButton"><i class="fas fa-search"></i> Search</div>
     </div>
 </div>
@@ -525,25 +4872,28 @@ function createPopupLayout() {
 
 /**
  * Displays a popup for character listings based on certain criteria.
- * Handles popup creation, event listeners for search, pagination, image zoom, and download.
+ * Handles popup creation, event listeners for search, pagination, the image viewer, and download.
  *
  * @async
  * @function
  * @returns {Promise<void>} - Resolves when the popup is displayed and fully initialized.
  */
 async function displayCharactersInListViewPopup() {
-    // Regenerate layout each time to reflect potential setting changes
-    // If performance becomes an issue, optimize later, but this ensures freshness.
-    savedPopupContent = null; // Force regeneration
+    // Regenerate layout each time to reflect potential setting changes.
+    // The previous results are kept in chubCharacters; inputs and scroll position are restored from popupState below.
     const listLayout = createPopupLayout();
 
     // Call the popup with our list layout
     // Use a unique ID for the popup content if needed elsewhere
+    // Aborted when the popup closes, to remove the listeners added outside of it
+    const popupListeners = new AbortController();
     callPopup(listLayout, "text", '', { okButton: "Close", wide: true, large: true, popupId: "chub-search-popup" })
         .then(() => {
-            // Optional: clean up if needed when closed
-            savedPopupContent = null; // Clear saved state on close
+            // popupState is kept up to date while the popup is open, so there is nothing to save here
             characterListContainer = null; // Clear container reference
+            popupListeners.abort();
+            closeLightbox();
+            syncSettingsPanel(); // Some preferences can also be changed in the popup
         });
 
     // Need to wait briefly for the popup to be added to the DOM
@@ -555,102 +4905,379 @@ async function displayCharactersInListViewPopup() {
         return;
     }
 
-    let clone = null;  // Store reference to the cloned image
-
-    // Image zoom listener
-     // Use event delegation on the container
-    characterListContainer.addEventListener('click', function (event) {
-        if (event.target.tagName === 'IMG' && event.target.classList.contains('chub-thumbnail')) {
-            const image = event.target;
-
-             // If the same image is clicked again while zoomed, remove clone
-            if (clone && clone.src === image.src) {
-                if (document.body.contains(clone)) {
-                     document.body.removeChild(clone);
-                }
-                clone = null;
-                return;
-            }
-            // If a different image is clicked or no clone exists, create/replace clone
-            else if (clone && document.body.contains(clone)) {
-                 document.body.removeChild(clone); // Remove previous clone first
-                 clone = null;
-            }
-
-
-            const rect = image.getBoundingClientRect();
-
-            clone = image.cloneNode(true);
-            clone.style.position = 'fixed'; // Use fixed to account for scrolling
-            clone.style.top = '50%';
-            clone.style.left = '50%';
-            // Calculate scale to fit viewport but be large
-             const scaleX = window.innerWidth * 0.8 / image.naturalWidth;
-             const scaleY = window.innerHeight * 0.8 / image.naturalHeight;
-             const scale = Math.min(scaleX, scaleY, 4); // Max 4x scale, fit within 80% viewport
-
-            clone.style.transform = `translate(-50%, -50%) scale(${scale})`;
-            clone.style.zIndex = 99999;
-            clone.style.objectFit = 'contain';
-             clone.style.backgroundColor = 'rgba(0,0,0,0.7)'; // Optional backdrop
-             clone.style.border = '2px solid white';
-             clone.style.borderRadius = '5px';
-             clone.classList.add('chub-zoomed-image'); // Add class for potential global click listener
+    // Restore the inputs and scroll position from the last time the popup was open
+    if (popupState) {
+        writeSearchForm(popupState.options);
+        characterListContainer.scrollTop = popupState.scrollTop;
+    }
+    if (chubCharacters.length > 0) {
+        updateCharacterListInView(chubCharacters); // Applies the blocklist and fills in the status line
+        characterListContainer.scrollTop = popupState?.scrollTop ?? 0;
+    }
+    syncSelectionControls();
+    syncProviderControls();
 
-            document.body.appendChild(clone);
+    // Keep popupState current: the popup's DOM is already gone by the time the close promise resolves
+    const searchContainer = document.querySelector('.chub-search-container');
+    const rememberInputs = () => {
+        popupState = { options: readSearchForm(), scrollTop: characterListContainer?.scrollTop ?? 0 };
+    };
+    searchContainer?.addEventListener('input', rememberInputs);
+    searchContainer?.addEventListener('change', rememberInputs);
 
-             // Add listener to remove clone on next click *anywhere* except the clone itself
-             // Use setTimeout to avoid capturing the same click that opened it
-             setTimeout(() => {
-                document.addEventListener('click', removeZoomedImageOnClick, { once: true, capture: true });
-             }, 0);
+    // The search box and the filter controls mirror each other, see parseSearchQuery
+    const searchQueryInput = document.getElementById('characterSearchInput');
+    const queryControlIds = SEARCH_FORM_FIELDS.filter(field => field.key in getSearchQueryDefaults()).map(field => field.id);
+    searchQueryInput?.setAttribute('aria-describedby', 'chubQueryErrors');
+    searchQueryInput?.addEventListener('input', () => showSearchQueryErrors(parseSearchQuery(searchQueryInput.value).errors));
+    searchQueryInput?.addEventListener('change', () => applySearchQuery());
+    searchContainer?.addEventListener('change', function (event) {
+        if (queryControlIds.includes(event.target.id)) {
+            syncSearchQueryInput();
+        }
+    });
+    characterListContainer.addEventListener('scroll', () => {
+        onResultListScroll();
+        if (popupState) {
+            popupState.scrollTop = characterListContainer.scrollTop;
+        } else {
+            rememberInputs();
+        }
+    }, { passive: true });
 
+    document.getElementById('chubHistoryBackButton')?.addEventListener('click', () => navigateSearchHistory(-1));
+    document.getElementById('chubHistoryForwardButton')?.addEventListener('click', () => navigateSearchHistory(1));
 
-            // Prevent this image click from immediately triggering the document listener
+    characterListContainer.addEventListener('click', function (event) {
+        // A thumbnail opens the image viewer instead of the details
+        if (event.target.classList.contains('chub-thumbnail')) {
             event.stopPropagation();
+            openCharacterGallery(event.target.closest('.chub-character-item').getAttribute('data-path'));
         }
          // Download button listener
         else if (event.target.classList.contains('chub-download-btn')) {
             event.stopPropagation(); // Prevent triggering other listeners
             const fullPath = event.target.getAttribute('data-path');
-            if (fullPath) {
-                 downloadCharacter(fullPath);
+            if (fullPath && event.target.getAttribute('data-type') === 'lorebook') {
+                 downloadLorebook(fullPath);
+             } else if (fullPath) {
+                 downloadCharacter(fullPath, { ask: event.shiftKey || undefined });
              } else {
                  console.error("Download button missing data-path attribute");
                  toastr.warning("Could not initiate download: character path missing.");
              }
         }
+        // A plain click on an author shows their catalog; modified clicks open the author page as usual
+        else if (event.target.closest('.chub-author-link') && event.button === 0 && !event.ctrlKey && !event.metaKey && !event.shiftKey) {
+            event.preventDefault();
+            event.stopPropagation();
+            showAuthorPage(event.target.closest('.chub-author-link').getAttribute('data-author'));
+        }
+        else if (event.target.classList.contains('chub-hide-author-btn')) {
+            event.stopPropagation();
+            addToBlocklist('authors', event.target.getAttribute('data-author'));
+        }
+        else if (event.target.classList.contains('chub-bookmark-btn')) {
+            event.stopPropagation();
+            const character = chubCharacters.find(c => c.fullPath === event.target.getAttribute('data-path'));
+            if (character) {
+                toggleBookmark(character);
+            }
+        }
+        else if (event.target.classList.contains('chub-hide-tag-btn')) {
+            event.stopPropagation();
+            addToBlocklist('tags', event.target.closest('.chub-tag').getAttribute('data-tag'));
+        }
+        // Clicking a tag filters by it; Shift+click excludes it
+        else if (event.target.closest('.chub-tag')) {
+            event.stopPropagation();
+            addTagToInput(event.shiftKey ? 'excludeTags' : 'includeTags', event.target.closest('.chub-tag').getAttribute('data-tag'));
+        }
+        // Clicking anywhere else on a result (except links and controls) opens its details
+        else if (!event.target.closest('a, input, .menu_button')) {
+            const item = event.target.closest('.chub-character-item');
+            // Lorebooks have no detail view; their name links to the Chub page instead
+            if (item && item.getAttribute('data-type') !== 'lorebook') {
+                focusedResultPath = item.getAttribute('data-path');
+                openCharacterDetails(item.getAttribute('data-path'));
+            }
+        }
     });
 
-     // Function to remove the zoomed image
-     function removeZoomedImageOnClick(event) {
-         if (clone && document.body.contains(clone)) {
-             // Only remove if the click was outside the zoomed image itself
-             if (!clone.contains(event.target)) {
-                 document.body.removeChild(clone);
-                 clone = null;
-                  // Clean up listener just in case (though {once: true} should handle it)
-                  document.removeEventListener('click', removeZoomedImageOnClick, { capture: true });
-             } else {
-                  // If clicked inside, re-attach listener for the *next* click
-                  document.addEventListener('click', removeZoomedImageOnClick, { once: true, capture: true });
-             }
-         }
-     }
+    document.getElementById('chubDetailView')?.addEventListener('click', function (event) {
+        if (event.target.closest('#chubDetailBackButton')) {
+            closeCharacterDetails();
+        } else if (event.target.closest('#chubUpdateSelectedButton')) {
+            updateSelectedCharacters();
+        } else if (event.target.closest('.chub-detail-lorebook-import')) {
+            downloadLorebook(event.target.closest('.chub-detail-lorebook-import').getAttribute('data-path'));
+        } else if (event.target.closest('#chubDetailImportButton')) {
+            downloadCharacter(event.target.closest('#chubDetailImportButton').getAttribute('data-path'), { ask: event.shiftKey || undefined });
+        } else if (event.target.closest('#chubDetailGalleryButton, .chub-detail-avatar')) {
+            openCharacterGallery(this.dataset.path);
+        } else if (event.target.closest('#chubDetailInstallExpressionsButton')) {
+            installDetailExpressions(this.dataset.path);
+        }
+    });
+
+    // Tabbing or clicking into a result moves the focus highlight along
+    characterListContainer.addEventListener('focusin', function (event) {
+        const item = event.target.closest('.chub-character-item');
+        if (item && item.dataset.path !== focusedResultPath) {
+            focusedResultPath = item.dataset.path;
+            syncResultFocus();
+        }
+    });
+
+    // Selection checkboxes for batch import
+    characterListContainer.addEventListener('change', function (event) {
+        if (!event.target.classList.contains('chub-select-checkbox')) {
+            return;
+        }
+        const fullPath = event.target.getAttribute('data-path');
+        const character = chubCharacters.find(c => c.fullPath === fullPath);
+        if (event.target.checked && character) {
+            selectedCharacters.set(fullPath, character);
+        } else {
+            selectedCharacters.delete(fullPath);
+        }
+        syncSelectionControls();
+    });
+
+    document.getElementById('chubSelectAllCheckbox')?.addEventListener('change', function (event) {
+        getVisibleCharacters().forEach(character => {
+            if (event.target.checked) {
+                selectedCharacters.set(character.fullPath, character);
+            } else {
+                selectedCharacters.delete(character.fullPath);
+            }
+        });
+        characterListContainer.querySelectorAll('.chub-select-checkbox').forEach(checkbox => {
+            checkbox.checked = event.target.checked;
+        });
+        syncSelectionControls();
+    });
+
+    document.getElementById('chubImportLinkedLorebooksCheckbox')?.addEventListener('change', function (event) {
+        extension_settings.chub.importLinkedLorebooks = event.target.checked;
+        saveSettingsDebounced();
+    });
+
+    document.getElementById('chubCheckUpdatesButton')?.addEventListener('click', () => checkForCharacterUpdates());
+
+    // Import option defaults
+    [['chubImportAskDefaultCheckbox', 'ask'], ['chubImportTagsDefaultCheckbox', 'applyTags'], ['chubImportOnlyMappedCheckbox', 'onlyMappedTags'], ['chubImportExpressionsDefaultCheckbox', 'installExpressions'], ['chubImportOpenChatDefaultCheckbox', 'openChat']].forEach(([id, key]) => {
+        document.getElementById(id)?.addEventListener('change', function (event) {
+            extension_settings.chub.importOptions[key] = event.target.checked;
+            saveSettingsDebounced();
+        });
+    });
+
+    document.getElementById('chubTagMappingInput')?.addEventListener('change', function (event) {
+        extension_settings.chub.importOptions.tagMapping = parseTagMapping(event.target.value);
+        event.target.value = formatTagMapping(extension_settings.chub.importOptions.tagMapping);
+        saveSettingsDebounced();
+    });
+
+    document.getElementById('chubFollowedFeedButton')?.addEventListener('click', () => showFollowedFeed());
+
+    document.getElementById('chubExportResultsButton')?.addEventListener('click', () => exportSearchResults());
+    document.getElementById('chubImportListButton')?.addEventListener('click', () => document.getElementById('chubImportListInput')?.click());
+    document.getElementById('chubImportListInput')?.addEventListener('change', function (event) {
+        const file = event.target.files[0];
+        event.target.value = ''; // Allow re-importing the same file
+        if (file) {
+            importResultsList(file);
+        }
+    });
+
+    document.getElementById('chubAuthorBanner')?.addEventListener('click', function (event) {
+        const authorLink = event.target.closest('.chub-author-link');
+        if (authorLink) {
+            event.preventDefault();
+            showAuthorPage(authorLink.getAttribute('data-author'));
+        } else if (event.target.closest('#chubFollowAuthorButton')) {
+            toggleFollowAuthor(event.target.closest('#chubFollowAuthorButton').getAttribute('data-author'));
+        } else if (event.target.closest('#chubClearAuthorButton')) {
+            showAuthorPage('');
+        }
+    });
+
+    document.getElementById('chubViewToggle')?.addEventListener('click', function (event) {
+        const button = event.target.closest('.chub-view-button');
+        if (button) {
+            setViewMode(button.dataset.view);
+        }
+    });
+
+    document.getElementById('chubLocalSortSelect')?.addEventListener('change', function (event) {
+        localSort = event.target.value;
+        updateCharacterListInView(chubCharacters);
+        characterListContainer.scrollTop = 0;
+    });
+
+    document.getElementById('chubHideImportedCheckbox')?.addEventListener('change', function (event) {
+        extension_settings.chub.hideImported = event.target.checked;
+        saveSettingsDebounced();
+        updateCharacterListInView(chubCharacters);
+    });
+
+    document.getElementById('chubClearSelectionButton')?.addEventListener('click', function () {
+        selectedCharacters.clear();
+        characterListContainer.querySelectorAll('.chub-select-checkbox').forEach(checkbox => {
+            checkbox.checked = false;
+        });
+        syncSelectionControls();
+    });
+
+    document.getElementById('chubImportSelectedButton')?.addEventListener('click', function () {
+        if (selectedCharacters.size === 0) {
+            toastr.info("Select some characters first.");
+            return;
+        }
+        enqueueImports([...selectedCharacters.values()]);
+        selectedCharacters.clear();
+        characterListContainer.querySelectorAll('.chub-select-checkbox').forEach(checkbox => {
+            checkbox.checked = false;
+        });
+        syncSelectionControls();
+    });
+
+    document.getElementById('chubInfiniteScrollCheckbox')?.addEventListener('change', function (event) {
+        extension_settings.chub.infiniteScroll = event.target.checked;
+        saveSettingsDebounced();
+        // Continue the current search from where it is instead of starting over
+        infiniteScrollState = event.target.checked && popupState && chubCharacters.length > 0
+            ? createInfiniteScrollState(popupState.options, chubCharacters)
+            : null;
+        onResultListScroll();
+    });
+
+    document.getElementById('chubCacheTtlInput')?.addEventListener('change', function (event) {
+        const minutes = parseInt(event.target.value, 10);
+        extension_settings.chub.cacheTtlMinutes = isNaN(minutes) ? defaultSettings.cacheTtlMinutes : Math.max(0, minutes);
+        event.target.value = extension_settings.chub.cacheTtlMinutes;
+        saveSettingsDebounced();
+    });
+
+    document.getElementById('chubClearCacheButton')?.addEventListener('click', async function () {
+        await clearSearchCache();
+        toastr.success("Cached search results cleared.");
+    });
+
+    document.getElementById('chubProviderSelect')?.addEventListener('change', function (event) {
+        extension_settings.chub.provider = event.target.value;
+        saveSettingsDebounced();
+        tagListPromise = null; // Suggest the new catalog's tags
+        syncProviderControls();
+        // Results of the previous catalog can't be opened or imported from the new one
+        searchGeneration++;
+        chubCharacters = [];
+        chubCharactersOptions = null;
+        lastSearchTotal = null;
+        infiniteScrollState = null;
+        selectedCharacters.clear();
+        syncSelectionControls();
+        updateCharacterListInView(chubCharacters);
+        toastr.info(`Switched to ${getActiveProvider().name}. Search again to see its results.`);
+    });
+
+    // Empty endpoint inputs fall back to the defaults
+    [['chubSearchEndpointInput', 'chubSearchEndpoint', API_ENDPOINT_SEARCH], ['chubApiBaseUrlInput', 'chubApiBaseUrl', API_BASE_URL]].forEach(([id, key, fallback]) => {
+        document.getElementById(id)?.addEventListener('change', function (event) {
+            extension_settings.chub[key] = event.target.value.trim() || fallback;
+            event.target.value = extension_settings.chub[key];
+            saveSettingsDebounced();
+        });
+    });
+
+    // Blocklist textareas: one entry per line, applied as soon as the textarea loses focus
+    ['authors', 'tags', 'keywords'].forEach(kind => {
+        document.getElementById(`chubBlocklist_${kind}`)?.addEventListener('change', function (event) {
+            extension_settings.chub.blocklist[kind] = event.target.value.split('\n').map(item => item.trim()).filter(item => item);
+            saveSettingsDebounced();
+            updateCharacterListInView(chubCharacters);
+        });
+    });
+
+    // The queue panel is re-rendered on every status change, so delegate its button clicks
+    document.getElementById('chubImportQueue')?.addEventListener('click', function (event) {
+        if (event.target.closest('#chubRetryFailedButton')) {
+            retryFailedImports();
+        } else if (event.target.closest('#chubClearFinishedButton')) {
+            clearFinishedImports();
+        }
+    });
+
+    // Esc closes the image viewer, then the detail view, before it may close the popup.
+    // Captured on the document so it runs before the popup's own Esc handling.
+    document.addEventListener('keydown', function (event) {
+        if (event.key !== 'Escape') {
+            return;
+        }
+        if (!closeLightbox()) {
+            if (!document.getElementById('list-and-search-wrapper')?.classList.contains('chub-showing-details')) {
+                return;
+            }
+            closeCharacterDetails();
+        }
+        event.preventDefault();
+        event.stopImmediatePropagation();
+    }, { capture: true, signal: popupListeners.signal });
+
+    // Keyboard shortcuts. Keys typed into form controls are left alone.
+    document.getElementById('list-and-search-wrapper')?.addEventListener('keydown', function (event) {
+        if (event.ctrlKey || event.altKey || event.metaKey || event.target.closest('input, textarea, select, [contenteditable]')) {
+            return;
+        }
+
+        // Div buttons behave like real ones
+        if ((event.key === 'Enter' || event.key === ' ') && ['button', 'tab'].includes(event.target.getAttribute('role'))) {
+            event.preventDefault();
+            event.target.click();
+            return;
+        }
 
+        switch (event.key) {
+            case '/':
+                document.getElementById('characterSearchInput')?.focus();
+                break;
+            case '[':
+                document.getElementById('pageDownButton')?.click();
+                break;
+            case ']':
+                document.getElementById('pageUpButton')?.click();
+                break;
+            default: {
+                if (this.classList.contains('chub-showing-details')) {
+                    return;
+                }
+                const item = event.target.closest('.chub-character-item');
+                const inList = characterListContainer.contains(event.target);
+                if (event.key === 'Enter' && item === event.target) {
+                    if (item.dataset.type !== 'lorebook') {
+                        openCharacterDetails(item.dataset.path);
+                    }
+                } else if (event.key === ' ' && item) {
+                    item.querySelector('.chub-select-checkbox')?.click();
+                } else if (event.key === 'i' && item) {
+                    item.querySelector('.chub-download-btn')?.click();
+                } else if (event.key === 'b' && item) {
+                    item.querySelector('.chub-bookmark-btn')?.click();
+                } else if (event.key === 'g' && item && item.dataset.type !== 'lorebook') {
+                    openCharacterGallery(item.dataset.path);
+                } else if (!((inList || event.key === 'j' || event.key === 'k') && moveResultFocus(event.key))) {
+                    return;
+                }
+            }
+        }
+        event.preventDefault();
+    });
 
     const executeCharacterSearchDebounced = debounce((options) => executeCharacterSearch(options), 600); // Slightly shorter debounce
 
     // --- Event Listeners for Search Inputs ---
-    const searchInputs = [
-        'characterSearchInput', 'nameLikeInput', 'includeTags', 'excludeTags',
-        'minTokensInput', 'maxTokensInput', 'minTagsInput', 'minUsersChattedInput', 'maxDaysAgoInput', 'minAiRatingInput', 'languageInput',
-        'nsfwCheckbox', 'nsflCheckbox', 'nsfwOnlyCheckbox', 'requireImagesCheckbox',
-        'requireExampleDialoguesCheckbox', 'requireAltGreetingsCheckbox', 'requireCustomPromptCheckbox',
-        'requireExpressionsCheckbox', 'requireLoreCheckbox', 'requireLoreEmbeddedCheckbox',
-        'requireLoreLinkedCheckbox', 'recommendedVerifiedCheckbox', 'inclusiveOrCheckbox', 'includeForksCheckbox',
-        'sortOrder', 'sortAscCheckbox', 'resultsPerPage', 'pageNumber'
-    ];
+    const searchInputs = SEARCH_FORM_FIELDS.map(field => field.id);
 
     const searchButton = document.getElementById('characterSearchButton');
     const pageUpButton = document.getElementById('pageUpButton');
@@ -668,119 +5295,280 @@ async function displayCharactersInListViewPopup() {
               return;
           }
 
+        // Filters typed into the search box go into the other controls first; don't search with a broken query
+        if (e.target.id === 'characterSearchInput' && !applySearchQuery()) {
+            return;
+        }
 
-        const getVal = (id) => document.getElementById(id)?.value;
-        const getChecked = (id) => document.getElementById(id)?.checked;
-        const getInt = (id) => {
-            const val = getVal(id);
-            return val ? parseInt(val, 10) : null; // Return null if empty or invalid
-        };
-        const splitAndTrim = (id) => {
-             const str = getVal(id);
-             if (!str) return [];
-             return str.split(',').map(tag => tag.trim()).filter(tag => tag); // Filter empty strings
-         };
-
-        let currentPage = getInt('pageNumber') || 1; // Default to 1 if invalid
+        // Gather all options
+        const options = readSearchForm();
+        let currentPage = options.page || 1; // Default to 1 if invalid
 
         // Handle page button clicks
-        if (e.target.id === 'pageUpButton' || e.target.closest('#pageUpButton')) {
+        if (e.target.id === 'pageUpButton' || e.target.closest?.('#pageUpButton')) {
             currentPage++;
-        } else if (e.target.id === 'pageDownButton' || e.target.closest('#pageDownButton')) {
+        } else if (e.target.id === 'pageDownButton' || e.target.closest?.('#pageDownButton')) {
             currentPage--;
         }
 
         // Clamp page number
         currentPage = clamp(currentPage, 1, Number.MAX_SAFE_INTEGER);
+        options.page = currentPage;
         if (document.getElementById('pageNumber')) {
              document.getElementById('pageNumber').value = currentPage; // Update input field
         }
 
-
-        // Gather all options
-        const options = {
-            searchTerm: getVal('characterSearchInput'),
-            name_like: getVal('nameLikeInput'),
-            includeTags: splitAndTrim('includeTags'),
-            excludeTags: splitAndTrim('excludeTags'),
-            min_tokens: getInt('minTokensInput'),
-            max_tokens: getInt('maxTokensInput'),
-            min_tags: getInt('minTagsInput'),
-            min_users_chatted: getInt('minUsersChattedInput'),
-            max_days_ago: getInt('maxDaysAgoInput'),
-            min_ai_rating: getInt('minAiRatingInput'),
-            language: getVal('languageInput'),
-
-            nsfw: getChecked('nsfwCheckbox'),
-            nsfl: getChecked('nsflCheckbox'),
-            nsfw_only: getChecked('nsfwOnlyCheckbox'),
-            require_images: getChecked('requireImagesCheckbox'),
-            require_example_dialogues: getChecked('requireExampleDialoguesCheckbox'),
-            require_alternate_greetings: getChecked('requireAltGreetingsCheckbox'),
-            require_custom_prompt: getChecked('requireCustomPromptCheckbox'),
-            require_expressions: getChecked('requireExpressionsCheckbox'),
-            require_lore: getChecked('requireLoreCheckbox'),
-            require_lore_embedded: getChecked('requireLoreEmbeddedCheckbox'),
-            require_lore_linked: getChecked('requireLoreLinkedCheckbox'),
-            recommended_verified: getChecked('recommendedVerifiedCheckbox'),
-            inclusive_or: getChecked('inclusiveOrCheckbox'),
-             include_forks: getChecked('includeForksCheckbox'), // Make sure this ID exists
-
-            sort: getVal('sortOrder'),
-            asc: getChecked('sortAscCheckbox'),
-            first: getInt('resultsPerPage'), // Use 'first' for API
-            page: currentPage
-        };
-
         // Reset page to 1 if the trigger was not a pagination control
-        if (e.target.id !== 'pageNumber' && e.target.id !== 'pageUpButton' && e.target.id !== 'pageDownButton' && !e.target.closest('#pageUpButton') && !e.target.closest('#pageDownButton')) {
+        if (e.target.id !== 'pageNumber' && e.target.id !== 'pageUpButton' && e.target.id !== 'pageDownButton' && !e.target.closest?.('#pageUpButton') && !e.target.closest?.('#pageDownButton')) {
              options.page = 1;
              if (document.getElementById('pageNumber')) {
                   document.getElementById('pageNumber').value = 1;
              }
         }
 
-
+        popupState = { options: { ...options }, scrollTop: 0 };
+        // The form only changes this search; the defaults are edited in the extension settings panel
         executeCharacterSearchDebounced(options);
+    };
 
-         // Update settings in real-time for boolean flags and resultsPerPage
-        if (document.getElementById('resultsPerPage') && options.first) {
-             extension_settings.chub.findCount = options.first;
-        }
-         // Update boolean settings based on current checkbox state
-         Object.keys(defaultSettings).forEach(key => {
-             if (typeof defaultSettings[key] === 'boolean') {
-                 const checkboxId = `${key}Checkbox`; // Assumes standard ID convention
-                 // Special case for findCount mapped to resultsPerPage
-                 if (key === 'findCount') return;
-
-                  // Construct the ID based on common patterns
-                  let elementId;
-                 if (key === 'nsfw_only') elementId = 'nsfwOnlyCheckbox';
-                 else if (key === 'inclusive_or') elementId = 'inclusiveOrCheckbox';
-                 else if (key === 'recommended_verified') elementId = 'recommendedVerifiedCheckbox';
-                 // ... add other non-standard IDs if necessary
-                 else {
-                     // Convert snake_case to camelCase for the ID prefix
-                      const camelCaseKey = key.replace(/_([a-z])/g, g => g[1].toUpperCase());
-                      elementId = `${camelCaseKey}Checkbox`;
-                 }
+    // Scopes the search to one author's catalog (or back to everyone for an empty author)
+    const showAuthorPage = (author) => {
+        const authorInput = document.getElementById('chubAuthorInput');
+        if (!authorInput) {
+            return;
+        }
+        writeSearchForm(author ? { username: author, searchTerm: '', name_like: '', includeTags: [], excludeTags: [] } : { username: '' });
+        handleSearch({ type: 'author', target: authorInput });
+    };
 
+    // --- Saved searches (presets) ---
+    const presetSelect = document.getElementById('chubPresetSelect');
+    const presetImportInput = document.getElementById('chubPresetImportInput');
 
-                 const checkbox = document.getElementById(elementId);
-                 if (checkbox) {
-                      extension_settings.chub[key] = checkbox.checked;
-                 }
-             }
-         });
-    };
+    presetSelect?.addEventListener('change', function () {
+        const preset = extension_settings.chub.presets[presetSelect.value];
+        if (!preset) {
+            return;
+        }
+        writeSearchForm(preset);
+        handleSearch({ type: 'preset', target: presetSelect });
+    });
+
+    document.getElementById('chubPresetSaveButton')?.addEventListener('click', async function () {
+        const name = await promptPresetName(presetSelect?.value || '');
+        if (!name) {
+            return;
+        }
+        if (extension_settings.chub.presets[name] && name !== presetSelect?.value) {
+            const overwrite = await callGenericPopup(`<h3>Overwrite preset "${escapeHtml(name)}"?</h3>`, POPUP_TYPE.CONFIRM);
+            if (!overwrite) {
+                return;
+            }
+        }
+        const options = readSearchForm();
+        delete options.page; // Presets always start on the first page
+        extension_settings.chub.presets[name] = options;
+        saveSettingsDebounced();
+        refreshPresetSelect(name);
+        toastr.success(`Saved search "${escapeHtml(name)}".`);
+    });
+
+    document.getElementById('chubPresetRenameButton')?.addEventListener('click', async function () {
+        const oldName = presetSelect?.value;
+        if (!oldName) {
+            toastr.info("Pick a saved search to rename first.");
+            return;
+        }
+        const newName = await promptPresetName(oldName);
+        if (!newName || newName === oldName) {
+            return;
+        }
+        if (extension_settings.chub.presets[newName]) {
+            toastr.warning(`A saved search named "${escapeHtml(newName)}" already exists.`);
+            return;
+        }
+        extension_settings.chub.presets[newName] = extension_settings.chub.presets[oldName];
+        delete extension_settings.chub.presets[oldName];
+        saveSettingsDebounced();
+        refreshPresetSelect(newName);
+    });
+
+    document.getElementById('chubPresetDeleteButton')?.addEventListener('click', async function () {
+        const name = presetSelect?.value;
+        if (!name) {
+            toastr.info("Pick a saved search to delete first.");
+            return;
+        }
+        const confirmed = await callGenericPopup(`<h3>Delete saved search "${escapeHtml(name)}"?</h3>`, POPUP_TYPE.CONFIRM);
+        if (!confirmed) {
+            return;
+        }
+        delete extension_settings.chub.presets[name];
+        saveSettingsDebounced();
+        refreshPresetSelect('');
+    });
+
+    document.getElementById('chubPresetExportButton')?.addEventListener('click', function () {
+        if (Object.keys(extension_settings.chub.presets).length === 0) {
+            toastr.info("There are no saved searches to export.");
+            return;
+        }
+        const exported = { type: 'chub-search-presets', version: 1, presets: extension_settings.chub.presets };
+        download(JSON.stringify(exported, null, 4), 'chub-search-presets.json', 'application/json');
+    });
+
+    document.getElementById('chubPresetImportButton')?.addEventListener('click', function () {
+        presetImportInput?.click();
+    });
+
+    presetImportInput?.addEventListener('change', async function () {
+        const file = presetImportInput.files[0];
+        presetImportInput.value = ''; // Allow re-importing the same file
+        if (!file) {
+            return;
+        }
+        try {
+            const imported = importPresets(JSON.parse(await file.text()));
+            saveSettingsDebounced();
+            refreshPresetSelect(presetSelect?.value || '');
+            toastr.success(`Imported ${imported} saved search${imported === 1 ? '' : 'es'}.`);
+        } catch (error) {
+            console.error('Failed to import saved searches', error);
+            toastr.error(`Could not import saved searches: ${escapeHtml(error.message)}`);
+        }
+    });
+
+    // --- Bookmarks ---
+    document.querySelector('.chub-tabs')?.addEventListener('click', function (event) {
+        const tab = event.target.closest('.chub-tab');
+        if (tab) {
+            switchPopupTab(tab.dataset.tab);
+        }
+    });
+
+    const collectionSelect = document.getElementById('chubCollectionSelect');
+    const collectionImportInput = document.getElementById('chubCollectionImportInput');
+
+    collectionSelect?.addEventListener('change', function () {
+        extension_settings.chub.activeCollection = collectionSelect.value;
+        saveSettingsDebounced();
+        renderBookmarks();
+        syncBookmarkButtons();
+    });
+
+    document.getElementById('chubBookmarkFilter')?.addEventListener('input', () => renderBookmarks());
+
+    document.getElementById('chubCollectionNewButton')?.addEventListener('click', async function () {
+        const name = await promptCollectionName('');
+        if (!name) {
+            return;
+        }
+        extension_settings.chub.bookmarkCollections[name] ??= [];
+        extension_settings.chub.activeCollection = name;
+        saveSettingsDebounced();
+        renderBookmarks();
+        syncBookmarkButtons();
+    });
+
+    document.getElementById('chubCollectionRenameButton')?.addEventListener('click', async function () {
+        const oldName = extension_settings.chub.activeCollection;
+        const newName = await promptCollectionName(oldName);
+        if (!newName || newName === oldName) {
+            return;
+        }
+        extension_settings.chub.bookmarkCollections[newName] = getActiveCollection();
+        delete extension_settings.chub.bookmarkCollections[oldName];
+        extension_settings.chub.activeCollection = newName;
+        saveSettingsDebounced();
+        renderBookmarks();
+    });
+
+    document.getElementById('chubCollectionDeleteButton')?.addEventListener('click', async function () {
+        const name = extension_settings.chub.activeCollection;
+        const count = getActiveCollection().length;
+        const confirmed = await callGenericPopup(`<h3>Delete collection "${escapeHtml(name)}"?</h3><p>Its ${count} bookmark${count === 1 ? '' : 's'} will be removed.</p>`, POPUP_TYPE.CONFIRM);
+        if (!confirmed) {
+            return;
+        }
+        delete extension_settings.chub.bookmarkCollections[name];
+        // There is always at least one collection to add bookmarks to
+        if (Object.keys(extension_settings.chub.bookmarkCollections).length === 0) {
+            extension_settings.chub.bookmarkCollections.Favorites = [];
+        }
+        extension_settings.chub.activeCollection = Object.keys(extension_settings.chub.bookmarkCollections)[0];
+        saveSettingsDebounced();
+        renderBookmarks();
+        syncBookmarkButtons();
+    });
+
+    document.getElementById('chubCollectionExportButton')?.addEventListener('click', function () {
+        const name = extension_settings.chub.activeCollection;
+        const exported = { type: 'chub-search-bookmarks', version: 1, collections: { [name]: getActiveCollection() } };
+        download(JSON.stringify(exported, null, 4), `chub-bookmarks-${name.replace(/[^\w-]+/g, '_')}.json`, 'application/json');
+    });
+
+    document.getElementById('chubCollectionImportButton')?.addEventListener('click', function () {
+        collectionImportInput?.click();
+    });
+
+    collectionImportInput?.addEventListener('change', async function () {
+        const file = collectionImportInput.files[0];
+        collectionImportInput.value = ''; // Allow re-importing the same file
+        if (!file) {
+            return;
+        }
+        try {
+            const imported = importBookmarkCollections(JSON.parse(await file.text()));
+            saveSettingsDebounced();
+            renderBookmarks();
+            syncBookmarkButtons();
+            toastr.success(`Imported ${imported} bookmark${imported === 1 ? '' : 's'}.`);
+        } catch (error) {
+            console.error('Failed to import bookmarks', error);
+            toastr.error(`Could not import bookmarks: ${escapeHtml(error.message)}`);
+        }
+    });
+
+    document.getElementById('chubBookmarkSelectAll')?.addEventListener('change', function (event) {
+        document.querySelectorAll('#chubBookmarkList .chub-bookmark-checkbox').forEach(checkbox => {
+            checkbox.checked = event.target.checked;
+        });
+    });
+
+    document.getElementById('chubBookmarkImportButton')?.addEventListener('click', function () {
+        const paths = [...document.querySelectorAll('#chubBookmarkList .chub-bookmark-item')]
+            .filter(item => item.querySelector('.chub-bookmark-checkbox').checked)
+            .map(item => item.dataset.path);
+        if (paths.length === 0) {
+            toastr.info("Select some bookmarks first.");
+            return;
+        }
+        enqueueImports(getActiveCollection().filter(bookmark => paths.includes(bookmark.fullPath)));
+        document.getElementById('chubBookmarkSelectAll').checked = false;
+        renderBookmarks();
+    });
+
+    document.getElementById('chubBookmarkList')?.addEventListener('click', function (event) {
+        const item = event.target.closest('.chub-bookmark-item');
+        const bookmark = item && getActiveCollection().find(b => b.fullPath === item.dataset.path);
+        if (!bookmark) {
+            return;
+        }
+        if (event.target.closest('.chub-bookmark-remove')) {
+            toggleBookmark(bookmark);
+        } else if (event.target.closest('.chub-bookmark-import')) {
+            enqueueImports([bookmark]);
+        } else if (!event.target.closest('input') && bookmark.type !== 'lorebook') {
+            openCharacterDetails(bookmark.fullPath);
+        }
+    });
 
 
     // Add listeners to all relevant inputs
     searchInputs.forEach(inputId => {
         const element = document.getElementById(inputId);
         if (element) {
-            const eventType = (element.type === 'checkbox' || element.tagName === 'SELECT') ? 'change' : 'keyup';
+            const eventType = (element.type === 'checkbox' || element.type === 'hidden' || element.tagName === 'SELECT') ? 'change' : 'keyup';
             element.addEventListener(eventType, handleSearch);
              // Also trigger search on 'change' for number inputs when they lose focus or value is committed
              if (element.type === 'number') {
@@ -799,6 +5587,9 @@ async function displayCharactersInListViewPopup() {
         }
     });
 
+    initTagInput('includeTags');
+    initTagInput('excludeTags');
+
     // Add listeners for buttons
     if (searchButton) searchButton.addEventListener('click', handleSearch);
     if (pageUpButton) pageUpButton.addEventListener('click', handleSearch);
@@ -821,7 +5612,7 @@ async function displayCharactersInListViewPopup() {
  */
 async function getCharacterAvatar(fullPath) {
     // Prefer the dedicated avatar endpoint if it exists and works
-     const avatarUrl = `https://avatars.charhub.io/avatars/${fullPath}/avatar.webp`;
+     const avatarUrl = getActiveProvider().getAvatarUrl(fullPath);
      try {
          let response = await fetch(avatarUrl, { method: "GET" });
 
@@ -829,7 +5620,7 @@ async function getCharacterAvatar(fullPath) {
              console.log(`Primary avatar request failed for ${fullPath} (${response.status}), trying download endpoint as fallback for image.`);
               // Fallback: Use the download endpoint - less ideal as it downloads the whole card
               response = await fetch(
-                  API_ENDPOINT_DOWNLOAD,
+                  getChubApiUrl(API_PATH_DOWNLOAD),
                   {
                       method: "POST",
                       headers: { 'Content-Type': 'application/json' },
@@ -862,11 +5653,198 @@ async function getCharacterAvatar(fullPath) {
      }
 }
 
+/**
+ * Converts STscript named arguments into a search options object.
+ * Unnamed text becomes the full-text search; "true"/"false" become booleans and tag lists are split on commas.
+ * @param {Object} namedArgs - Named arguments of the slash command.
+ * @param {string} unnamedArgs - The unnamed argument.
+ * @returns {Object} - Search options using the keys of `QUERY_PARAM_MAP`.
+ */
+function parseSlashSearchOptions(namedArgs, unnamedArgs) {
+    const options = {};
+    for (const [key, value] of Object.entries(namedArgs)) {
+        if (!(key in QUERY_PARAM_MAP) || value === undefined || value === '') {
+            continue;
+        }
+        if (['includeTags', 'excludeTags', 'topics', 'excludetopics'].includes(key)) {
+            options[key] = String(value).split(',').map(tag => tag.trim()).filter(tag => tag);
+        } else if (value === 'true' || value === 'false') {
+            options[key] = value === 'true';
+        } else if (key === 'first' || key === 'page') {
+            options[key] = parseInt(value, 10) || undefined;
+        } else {
+            options[key] = String(value);
+        }
+    }
+    if (unnamedArgs && String(unnamedArgs).trim()) {
+        options.searchTerm = String(unnamedArgs).trim();
+    }
+    return options;
+}
+
+/**
+ * Turns a Chub URL or path into the path and content type the importers expect.
+ * Accepts "author/name", "characters/author/name", "lorebooks/author/name" and chub.ai URLs of those.
+ * @param {string} input - The user's input.
+ * @returns {{fullPath: string, type: 'character'|'lorebook'}|null} - The parsed reference, or null if it isn't one.
+ */
+function parseChubReference(input) {
+    const path = String(input ?? '').trim()
+        .replace(/^https?:\/\/(www\.)?(chub\.ai|characterhub\.org)\//i, '')
+        .replace(/[?#].*$/, '')
+        .replace(/\/+$/, '');
+    const match = path.match(/^(?:(characters|lorebooks)\/)?([^/\s]+\/[^/\s]+)$/i);
+    if (!match) {
+        return null;
+    }
+    return { fullPath: match[2], type: match[1]?.toLowerCase() === 'lorebooks' ? 'lorebook' : 'character' };
+}
+
+/**
+ * Registers the /chub-search, /chub-import, /chub-open and /chub-updates slash commands.
+ */
+function registerSlashCommands() {
+    const searchArguments = Object.keys(QUERY_PARAM_MAP).map(key => SlashCommandNamedArgument.fromProps({
+        name: key,
+        description: `search option "${QUERY_PARAM_MAP[key]}"`,
+        typeList: [ARGUMENT_TYPE.STRING, ARGUMENT_TYPE.NUMBER, ARGUMENT_TYPE.BOOLEAN],
+    }));
+    const queryArgument = SlashCommandArgument.fromProps({
+        description: 'full-text search',
+        typeList: [ARGUMENT_TYPE.STRING],
+    });
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'chub-search',
+        callback: async (namedArgs, unnamedArgs) => {
+            const options = applySearchDefaults(parseSlashSearchOptions(namedArgs, unnamedArgs));
+            try {
+                const { characters: results } = await requestSearchPage(options, 'slash');
+                const visible = results.filter(result => !isBlocked(result));
+                // Lorebooks get the prefix /chub-import reads them by; a bare path is a character
+                const reference = (result) => result.type === 'lorebook' ? `lorebooks/${result.fullPath}` : result.fullPath;
+                switch (namedArgs.output) {
+                    case 'names':
+                        return JSON.stringify(visible.map(result => result.name));
+                    case 'json':
+                        return JSON.stringify(visible.map(result => ({
+                            name: result.name,
+                            author: result.author,
+                            fullPath: result.fullPath,
+                            type: result.type,
+                            reference: reference(result),
+                            tags: result.tags,
+                            tagline: result.description,
+                        })));
+                    default:
+                        return JSON.stringify(visible.map(reference));
+                }
+            } catch (error) {
+                console.error('/chub-search failed', error);
+                toastr.error(escapeHtml(error.message), escapeHtml(error.title || 'CHub search failed'));
+                return '[]';
+            }
+        },
+        returns: 'JSON list of result paths, prefixed with lorebooks/ for lorebooks (or names / objects, see "output")',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'output',
+                description: 'what to return for each result',
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: 'paths',
+                enumList: ['paths', 'names', 'json'],
+            }),
+            ...searchArguments,
+        ],
+        unnamedArgumentList: [queryArgument],
+        helpString: `
+            <div>Searches Chub and returns the results of one page. Named arguments are the same search options the popup uses
+            (e.g. <code>includeTags</code>, <code>min_tokens</code>, <code>sort</code>, <code>page</code>, <code>namespace=lorebooks</code>).
+            Your blocklist is applied. Lorebook paths start with <code>lorebooks/</code>, so they can be piped to <code>/chub-import</code> as well.</div>
+            <div><strong>Example:</strong> <pre><code>/chub-search includeTags=fantasy,elf sort=rating first=5 | /chub-import</code></pre></div>
+        `,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'chub-import',
+        callback: async (_, value) => {
+            // Accept a single reference or a JSON list, e.g. piped from /chub-search
+            let references = [String(value ?? '').trim()];
+            try {
+                const parsed = JSON.parse(references[0]);
+                if (Array.isArray(parsed)) {
+                    references = parsed.map(String);
+                }
+            } catch (e) {
+                // Not JSON, a single reference
+            }
+
+            const items = references.map(parseChubReference);
+            if (items.length === 0 || items.some(item => !item)) {
+                toastr.warning('Expected a Chub path like "author/name" or a chub.ai URL.', '/chub-import');
+                return '';
+            }
+
+            if (items.length === 1) {
+                const [item] = items;
+                const success = item.type === 'lorebook' ? await downloadLorebook(item.fullPath) : await downloadCharacter(item.fullPath);
+                return success ? item.fullPath : '';
+            }
+            enqueueImports(items.map(item => ({ ...item, name: item.fullPath })));
+            return JSON.stringify(items.map(item => item.fullPath));
+        },
+        returns: 'the imported path, or a JSON list of queued paths when importing several',
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'Chub path or URL, or a JSON list of them',
+                typeList: [ARGUMENT_TYPE.STRING, ARGUMENT_TYPE.LIST],
+                isRequired: true,
+            }),
+        ],
+        helpString: `
+            <div>Imports a character (or a lorebook, for <code>lorebooks/...</code> paths and URLs) from Chub.
+            A JSON list imports all of them through the import queue.</div>
+            <div><strong>Example:</strong> <pre><code>/chub-import https://chub.ai/characters/author/name</code></pre></div>
+        `,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'chub-open',
+        callback: async (namedArgs, unnamedArgs) => {
+            const options = parseSlashSearchOptions(namedArgs, unnamedArgs);
+            if (!characterListContainer || !document.body.contains(characterListContainer)) {
+                await displayCharactersInListViewPopup();
+            }
+            if (Object.keys(options).length > 0) {
+                writeSearchForm(options);
+                document.getElementById('characterSearchButton')?.click();
+            }
+            return '';
+        },
+        namedArgumentList: searchArguments,
+        unnamedArgumentList: [queryArgument],
+        helpString: `
+            <div>Opens the Chub search popup, pre-filled with the given search options, and runs the search.</div>
+            <div><strong>Example:</strong> <pre><code>/chub-open includeTags=sci-fi nsfw=false</code></pre></div>
+        `,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'chub-updates',
+        callback: async () => {
+            await checkForCharacterUpdates();
+            return '';
+        },
+        helpString: 'Checks Chub for newer versions of the characters you imported from it.',
+    }));
+}
+
 /**
  * jQuery document-ready block:
  * - Adds the Chub search button to the UI.
  * - Attaches the click handler to open the search popup.
  * - Loads extension settings.
+ * - Registers the slash commands.
  */
 jQuery(async () => {
     // Add button
@@ -880,6 +5858,9 @@ jQuery(async () => {
     // Load settings
     await loadSettings(); // Ensure settings are loaded before the popup might be opened
 
+    registerSlashCommands();
+    initSettingsPanel();
+
      // Add some basic CSS for layout if not done elsewhere
      const css = `
         .chub-wrapper { display: flex; flex-direction: column; height: 100%; max-height: 70vh; }
@@ -905,7 +5886,6 @@ jQuery(async () => {
         .chub-no-characters-found { text-align: center; padding: 20px; color: var(--text-color-secondary); }
         .chub-search-button { margin-top: 10px; width: 100%; text-align: center; padding: 8px; }
         .list-and-search-wrapper .searching { opacity: 0.6; cursor: wait; pointer-events: none; }
-        .chub-zoomed-image { cursor: zoom-out; } /* Indicate the zoomed image can be clicked to close */
         .wide100pMinFit { min-width: 100px; flex-grow: 1;} /* Util class for number inputs */
         .textarea_compact.wide8pMinFit { width: 8ch; min-width: fit-content;} /* Adjust specific inputs */
     `;